@@ -0,0 +1,297 @@
+// analytics.js - Market statistics over the captured sales: price per acre by group and over time
+document.addEventListener('DOMContentLoaded', function() {
+  const countyFilter = document.getElementById('countyFilter');
+  const cropFilter = document.getElementById('cropFilter');
+  const acreageFilter = document.getElementById('acreageFilter');
+  const monthsFilter = document.getElementById('monthsFilter');
+  const fromFilter = document.getElementById('fromFilter');
+  const toFilter = document.getElementById('toFilter');
+  const refreshBtn = document.getElementById('refreshBtn');
+  const analyticsStatusElement = document.getElementById('analyticsStatus');
+  const overallHeadElement = document.getElementById('overallHead');
+  const overallRowsElement = document.getElementById('overallRows');
+  const groupSelect = document.getElementById('groupSelect');
+  const groupHeadElement = document.getElementById('groupHead');
+  const groupRowsElement = document.getElementById('groupRows');
+  const trendSelect = document.getElementById('trendSelect');
+  const trendCanvas = document.getElementById('trendChart');
+
+  // Statistic columns of both tables, in order
+  const STAT_COLUMNS = [
+    { key: 'count', label: 'Sales' },
+    { key: 'mean', label: 'Mean' },
+    { key: 'median', label: 'Median' },
+    { key: 'p10', label: 'P10' },
+    { key: 'p25', label: 'P25' },
+    { key: 'p75', label: 'P75' },
+    { key: 'p90', label: 'P90' },
+    { key: 'min', label: 'Min' },
+    { key: 'max', label: 'Max' }
+  ];
+  const GROUP_LABELS = {
+    county: 'County',
+    month: 'Sale month',
+    quarter: 'Sale quarter',
+    acreage: 'Acreage band',
+    crop: 'Dominant crop'
+  };
+  const CHART_PADDING = { left: 70, right: 15, top: 15, bottom: 25 };
+  const COUNT_AREA_HEIGHT = 80; // Pixels of the chart used by the sales-count bars
+  const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+  let stats = null; // Last response of getMarketStats
+  let countyNames = {}; // County names by FIPS code, for the labels
+
+  // Show a status line above the tables
+  function showStatus(message, isError) {
+    analyticsStatusElement.textContent = message;
+    analyticsStatusElement.style.color = isError ? '#f44336' : '#4CAF50';
+  }
+
+  // Helper to format a statistic for display
+  function formatStat(key, value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    if (key === 'count') {
+      return String(value);
+    }
+    return '$' + Math.round(value).toLocaleString();
+  }
+
+  // Helper to label a group key for display
+  function formatGroupKey(group, key) {
+    if (key === '') {
+      return '(none)';
+    }
+    if (group === 'county' && countyNames[key]) {
+      return `${key} ${countyNames[key]}`;
+    }
+    if (group === 'acreage') {
+      return `${key} acres`;
+    }
+    return key;
+  }
+
+  // Refill a filter select, keeping the current choice when it is still offered
+  function fillSelect(select, options) {
+    const current = select.value;
+    select.innerHTML = '';
+    [{ value: '', label: 'All' }, ...options].forEach(option => {
+      const element = document.createElement('option');
+      element.value = option.value;
+      element.textContent = option.label;
+      select.appendChild(element);
+    });
+    select.value = options.some(option => option.value === current) ? current : '';
+  }
+
+  // Render a statistics table with a label column followed by the statistic columns
+  function renderStatsTable(headElement, rowsElement, label, rows) {
+    headElement.innerHTML = '';
+    const headRow = document.createElement('tr');
+    [label, ...STAT_COLUMNS.map(column => column.label)].forEach(text => {
+      const cell = document.createElement('th');
+      cell.textContent = text;
+      headRow.appendChild(cell);
+    });
+    headElement.appendChild(headRow);
+
+    rowsElement.innerHTML = '';
+    rows.forEach(entry => {
+      const row = document.createElement('tr');
+      [entry.label, ...STAT_COLUMNS.map(column => formatStat(column.key, entry.stats[column.key]))].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      rowsElement.appendChild(row);
+    });
+  }
+
+  // Render the breakdown table for the chosen grouping
+  function renderGroups() {
+    const group = groupSelect.value;
+    const rows = stats.groups[group].map(entry => ({ label: formatGroupKey(group, entry.key), stats: entry }));
+    renderStatsTable(groupHeadElement, groupRowsElement, GROUP_LABELS[group], rows);
+  }
+
+  // Helper to list every period from the first to the last one, so gaps show on the chart
+  function listPeriods(first, last, period) {
+    const periods = [];
+    let year = parseInt(first.slice(0, 4), 10);
+    let step = parseInt(period === 'month' ? first.slice(5, 7) : first.slice(6), 10);
+    const perYear = period === 'month' ? 12 : 4;
+    const format = () => period === 'month' ? `${year}-${String(step).padStart(2, '0')}` : `${year}-Q${step}`;
+    while (format() <= last) {
+      periods.push(format());
+      step++;
+      if (step > perYear) {
+        step = 1;
+        year++;
+      }
+    }
+    return periods;
+  }
+
+  // Draw the median price per acre over time with its quartile band and the sales count
+  function drawTrend() {
+    const context = trendCanvas.getContext('2d');
+    context.clearRect(0, 0, trendCanvas.width, trendCanvas.height);
+
+    const period = trendSelect.value;
+    const byKey = {};
+    stats.groups[period].filter(entry => entry.key !== '').forEach(entry => {
+      byKey[entry.key] = entry;
+    });
+    const keys = Object.keys(byKey).sort();
+    if (keys.length === 0) {
+      context.fillStyle = '#888';
+      context.font = '13px Arial';
+      context.fillText('No priced sales with a sale date', CHART_PADDING.left, trendCanvas.height / 2);
+      return;
+    }
+
+    const periods = listPeriods(keys[0], keys[keys.length - 1], period);
+    const entries = periods.map(key => byKey[key] || { key: key, count: 0, median: null, p25: null, p75: null });
+    const priceTop = CHART_PADDING.top;
+    const priceBottom = trendCanvas.height - CHART_PADDING.bottom - COUNT_AREA_HEIGHT - 10;
+    const countBottom = trendCanvas.height - CHART_PADDING.bottom;
+    const width = trendCanvas.width - CHART_PADDING.left - CHART_PADDING.right;
+    const slot = width / entries.length;
+    const xOf = index => CHART_PADDING.left + slot * (index + 0.5);
+
+    const prices = entries.filter(entry => entry.count > 0).reduce((all, entry) => all.concat([entry.p25, entry.p75, entry.median]), []);
+    const minPrice = Math.min(...prices);
+    const spanPrice = Math.max(Math.max(...prices) - minPrice, 1);
+    const yOf = price => priceBottom - (price - minPrice) / spanPrice * (priceBottom - priceTop);
+    const maxCount = Math.max(...entries.map(entry => entry.count));
+
+    // Price axis labels at the bottom, middle and top of the range
+    context.fillStyle = '#555';
+    context.font = '11px Arial';
+    context.strokeStyle = '#e0e0e0';
+    [0, 0.5, 1].forEach(fraction => {
+      const price = minPrice + spanPrice * fraction;
+      const y = yOf(price);
+      context.fillText(formatStat('median', price), 4, y + 4);
+      context.beginPath();
+      context.moveTo(CHART_PADDING.left, y);
+      context.lineTo(trendCanvas.width - CHART_PADDING.right, y);
+      context.stroke();
+    });
+    context.fillText(`${maxCount} sale${maxCount === 1 ? '' : 's'}`, 4, countBottom - COUNT_AREA_HEIGHT + 10);
+
+    // Quartile band, one block per period so periods without sales leave a gap
+    context.fillStyle = 'rgba(76, 175, 80, 0.2)';
+    entries.forEach((entry, index) => {
+      if (entry.count > 0) {
+        const top = yOf(entry.p75);
+        context.fillRect(xOf(index) - slot / 2, top, slot, Math.max(yOf(entry.p25) - top, 1));
+      }
+    });
+
+    // Median line, broken where a period has no sales
+    context.strokeStyle = '#2e7d32';
+    context.lineWidth = 2;
+    context.beginPath();
+    let drawing = false;
+    entries.forEach((entry, index) => {
+      if (entry.count === 0) {
+        drawing = false;
+        return;
+      }
+      if (drawing) {
+        context.lineTo(xOf(index), yOf(entry.median));
+      } else {
+        context.moveTo(xOf(index), yOf(entry.median));
+        drawing = true;
+      }
+    });
+    context.stroke();
+    context.lineWidth = 1;
+
+    // Sales count bars and period labels, skipping labels that would overlap
+    const labelEvery = Math.max(1, Math.ceil(entries.length / Math.floor(width / 60)));
+    entries.forEach((entry, index) => {
+      const height = maxCount > 0 ? entry.count / maxCount * COUNT_AREA_HEIGHT : 0;
+      context.fillStyle = '#90a4ae';
+      context.fillRect(xOf(index) - slot * 0.35, countBottom - height, slot * 0.7, height);
+      if (index % labelEvery === 0) {
+        context.fillStyle = '#555';
+        context.fillText(entry.key, xOf(index) - 20, trendCanvas.height - 8);
+      }
+    });
+  }
+
+  // Read the filter inputs into the filters the background worker understands
+  function readFilters() {
+    return {
+      fips: countyFilter.value,
+      crop: cropFilter.value,
+      acreage: acreageFilter.value,
+      months: monthsFilter.value,
+      from: fromFilter.value.trim(),
+      to: toFilter.value.trim()
+    };
+  }
+
+  // Load the statistics for the current filters from the background worker
+  function loadStats() {
+    const filters = readFilters();
+    if ((filters.from && !DATE_PATTERN.test(filters.from)) || (filters.to && !DATE_PATTERN.test(filters.to))) {
+      showStatus('Dates must be written as YYYY-MM-DD', true);
+      return;
+    }
+
+    chrome.runtime.sendMessage({action: "getMarketStats", filters: filters}, function(response) {
+      if (chrome.runtime.lastError) {
+        showStatus('Error: ' + chrome.runtime.lastError.message, true);
+        return;
+      }
+      if (response.error) {
+        showStatus('Error: ' + response.error, true);
+        return;
+      }
+
+      stats = response;
+      countyNames = {};
+      response.options.counties.forEach(county => {
+        countyNames[county.fips] = county.name;
+      });
+      fillSelect(countyFilter, response.options.counties.map(county => ({ value: county.fips, label: formatGroupKey('county', county.fips) })));
+      fillSelect(cropFilter, response.options.crops.map(crop => ({ value: crop, label: crop })));
+      fillSelect(acreageFilter, response.options.acreageBands.map(band => ({ value: band, label: formatGroupKey('acreage', band) })));
+
+      const since = response.from ? `, sold since ${response.from}` : '';
+      const unpriced = response.unpriced > 0 ? ` (${response.unpriced} without a price per acre)` : '';
+      showStatus(`${response.matched} of ${response.total} sales match${since}${unpriced}`, false);
+
+      renderStatsTable(overallHeadElement, overallRowsElement, 'Price per acre', [{ label: 'All matching sales', stats: response.overall }]);
+      renderGroups();
+      drawTrend();
+    });
+  }
+
+  [countyFilter, cropFilter, acreageFilter, monthsFilter].forEach(select => {
+    select.addEventListener('change', loadStats);
+  });
+  [fromFilter, toFilter].forEach(input => {
+    input.addEventListener('change', loadStats);
+  });
+
+  groupSelect.addEventListener('change', function() {
+    if (stats) {
+      renderGroups();
+    }
+  });
+  trendSelect.addEventListener('change', function() {
+    if (stats) {
+      drawTrend();
+    }
+  });
+
+  refreshBtn.addEventListener('click', loadStats);
+
+  loadStats();
+});
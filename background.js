@@ -1,479 +1,3474 @@
 // background.js - Manifest V3 compatible version
+import { createXlsxWorkbook } from './xlsx.js';
+import { createCountyIndex, findCountyAt } from './counties.js';
+import { createSqliteDatabase } from './sqlite.js';
+
 let collectedData = []; // Use array for simpler storage
 let collectedIds = new Set(); // Track IDs to prevent duplicates
-let cropDataStore = {}; // Store crop data separately
-let cropRequestBodies = {}; // Store request bodies for crop data
+let cropDataStore = {}; // Crop results not yet tied to a property, keyed by request: {acres, tabId, timestamp, geometry, parcelId, cropData}
+let ambiguousCropMatches = []; // Crop results that fit several properties and were flagged instead of applied
+let rawPayloads = {}; // Full courthouse-comps responses keyed by property id
+let rawPayloadsChanged = false; // The payloads are stored under their own key and only rewritten when this is set
+let sessionSaveTimer = null; // Pending write of the active session - events in quick succession share one write
+const SESSION_SAVE_DELAY = 1000; // How long (ms) saves of the active session are batched
+let exportHistory = []; // Files exported from the active session: [{filename, mimeType, records, exportedAt}]
+let importedIds = new Set(); // Sale IDs known from imported exports, skipped at capture
+let importedDocumentNumbers = new Set(); // Document numbers known from imported exports, skipped at capture
+const BACKUP_FORMAT = 'acres-data-extractor-backup'; // Marks the JSON backups downloadJSONBackup writes
+let sessions = []; // Harvest sessions: [{id, name, createdAt, archived}]
+let activeSessionId = null; // Session the data above belongs to
+let savedDataLoadStarted = false; // Guard so the sessions are only loaded once per worker start
+let sessionDataLoading = true; // Saves wait while a session's data is read from storage
+let sessionLoadBaseIds = new Set(); // Records in memory when that read started; the rest were captured meanwhile
+const DEFAULT_SESSION_NAME = 'Default';
+const MAX_EXPORT_HISTORY = 100; // Keep the per-session export history bounded
+let cropRequestBodies = {}; // Request bodies of failed crop requests waiting for a retry
 let pendingCropRequests = new Map(); // Track pending crop requests with timestamps
-let retryQueue = []; // Queue for retrying failed requests
+let retryQueue = []; // Failed courthouse-comps fetches waiting for a retry: [{url, tabId, attempts, nextAt, lastError, firstFailedAt}]
+let deadLetterFetches = []; // Courthouse-comps fetches that failed for good: [{url, tabId, attempts, lastError, firstFailedAt, failedAt}]
+let propertyRetryTimers = {}; // Timeout of each queued retry, keyed by url
 const MAX_RETRIES = 3; // Maximum number of retries for failed requests
 const RETRY_DELAY = 5000; // Delay between retries in milliseconds (5 seconds)
+const MAX_DEAD_LETTERS = 500; // Keep the dead-letter list bounded
+
+// Crop backfill: cdl_stats requests issued for records that never got crop data
+// The request shape is learned from the page's own cdl_stats requests; the parcel geometry comes from the stored payload
+let cropRequestTemplate = null; // {url, body, geometryKey, geometryFormat} of a captured cdl_stats request
+let cropBackfill = { running: false, queue: [], total: 0, done: 0, failed: 0, skipped: 0, current: null, startedAt: null, finishedAt: null, message: '' };
+let cropBackfillTimer = null;
+const CROP_BACKFILL_DELAY = 3000; // Pause (ms) between two backfill requests
+const CROP_REQUEST_GEOMETRY_KEYS = ['geometry', 'geom', 'geojson', 'polygon', 'feature']; // Where cdl_stats bodies carry the parcel
+const PAYLOAD_GEOMETRY_KEYS = ['geometry', 'geom', 'parcel_geometry', 'boundary', 'polygon', 'shape']; // Where courthouse-comps payloads carry it
+
+// Activity log
+// Structured events that outlive the popup and the worker: captures, duplicates, crop matches, retries,
+// click results, focus changes and errors. Past MAX_LOG_ENTRIES the oldest events are dropped.
+let activityLog = []; // [{time, level, category, message, session, tabId, details}]
+let activityLogLoaded = false; // Events logged before the stored log is loaded are appended to it
+let activityLogSaveTimer = null;
+const MAX_LOG_ENTRIES = 5000;
+const LOG_SAVE_DELAY = 2000; // Events are written in batches, at most this long (ms) after they happen
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_VIEW_LIMIT = 1000; // Most events the log page is sent at once
+
+// Auto-click runs, one per acres.com tab
+// run = {runId, tabId, mode, sweepZoom, counties, stopConditions, stats, pacing, sweepState, stepInProgress, lastStepAt, lastMarker}
+let autoClickRuns = {}; // Running harvests keyed by tab id
+let autoClickTimers = {}; // Timeout of each run's next click step, keyed by tab id
+const CLICK_DELAY = 1500; // Delay between clicks in milliseconds, the fastest the pacing goes
+
+// Adaptive pacing: the click delay follows how the courthouse-comps and cdl_stats responses are doing
+const MAX_CLICK_DELAY = 30000; // Slowest the pacing goes
+const CLICK_JITTER = 0.25; // Random variation of each delay, as a fraction of it
+const PACING_BACKOFF_FACTOR = 2; // Delay multiplier on a 429/5xx or network error
+const PACING_SLOWDOWN_FACTOR = 1.25; // Delay multiplier while latency is rising
+const PACING_RECOVERY_FACTOR = 0.9; // Delay multiplier on a healthy response
+const LATENCY_WINDOW = 20; // Response times kept to spot rising latency
+const LATENCY_RISE_RATIO = 1.5; // Recent responses this much slower than earlier ones count as rising
+const PACING_ERROR_LIMIT = 5; // Failed responses in a row before pausing
+const PACING_PAUSE_DURATION = 120000; // How long (ms) to pause when errors persist
+// A run's pacing: {delay, latencies, consecutiveErrors, pausedUntil, lastStatus, message}
+
+// Shared rate limit: all runs together stay under this many captured requests per window
+const SHARED_MAX_REQUESTS = 60;
+const SHARED_RATE_WINDOW = 60000; // ms
+let sharedRequestTimes = []; // When each courthouse-comps / cdl_stats request in the window was seen
+
+// Keeping a run alive across service worker suspension
+// The run state is saved on every step; an alarm wakes a suspended worker, which then resumes the run
+const AUTO_CLICK_WATCHDOG_ALARM = 'autoClickWatchdog';
+const AUTO_CLICK_WATCHDOG_PERIOD = 0.5; // Minutes between watchdog checks (Chrome's minimum)
+const AUTO_CLICK_STALL_LIMIT = 60000; // A running loop with no step for this long (ms) is restarted
+let autoClickStateReady = Promise.resolve(); // Settles once the runs saved by a previous worker are resumed
+
+// Auto-click stop conditions for new runs; 0 turns a condition off
+let stopConditions = { maxNewProperties: 0, timeBudgetMinutes: 0, stallMinutes: 0 };
+let lastAutoClickStop = null; // Why and when the last run stopped: {reason, stoppedAt, tabId, counties, startedAt, newProperties}
 
-// Add these variables to the top of your background.js file
-let autoClickEnabled = false;
-let autoClickInterval = null;
-const CLICK_DELAY = 1500; // Delay between clicks in milliseconds
-let currentTabId = null;
+// Grid sweep state
+let autoClickMode = 'random'; // Mode for new runs: 'random' refocuses counties at random, 'sweep' covers each county tile by tile
+let sweepZoom = 12; // Zoom level the sweep tiles of new runs are sized for
+let sweepProgress = {}; // Completed tiles per county: {fips: {zoom, viewport, total, completed: [tileIndex]}}
+// Each sweep run keeps its tiles and position in run.sweepState; run.stepInProgress keeps slow page scripts from overlapping
+const SWEEP_MAX_CLICKS_PER_TILE = 150; // Safety cap so one busy tile can't stall the sweep
+const SWEEP_TILE_DONE_RESULT = 'No unclicked markers in view'; // Must match the string returned by clickMapElement
+const SWEEP_MAX_MAP_FAILURES = 10; // Steps in a row without a usable map before a sweep run is stopped
+
+// Marker identity
+// A marker's key comes from its linked courthouse-comps id ('sale:<id>'), its Mapbox feature id ('feature:<id>')
+// or, failing both, its rounded longitude/latitude ('lnglat:<lng>,<lat>'). A DOM marker without any of those
+// is keyed by its centre projected onto the map ('near:<lng>,<lat>'), or by screen position ('dom:...') when no map is found
+let markerRegistry = {}; // Markers clicked in the active session: {key: {attempts, lastClickedAt, saleId, capturedAt}}
+const MARKER_CAPTURE_WINDOW = 15000; // A sale captured this close (ms) after a marker click in the same tab belongs to it
+const MARKER_MAX_ATTEMPTS = 3; // Clicks without a captured sale before a marker is given up on
 
 // Previously defined allowed FIPS codes - now we accept all counties
 // const ALLOWED_FIPS_CODES = ['06019', '06107', '06029', '06031']; // Fresno, Tulare, Kern, Kings counties
 
+// Default target counties (California Central Valley), used until the user edits the registry
+const DEFAULT_TARGET_COUNTIES = [
+  { fips: '06019', name: 'Fresno', lng: -119.7726, lat: 36.7468, zoom: 10, bbox: null, enabled: true },
+  { fips: '06029', name: 'Kern', lng: -118.9015, lat: 35.3933, zoom: 10, bbox: null, enabled: true },
+  { fips: '06107', name: 'Tulare', lng: -118.8028, lat: 36.2308, zoom: 9, bbox: null, enabled: true },
+  { fips: '06031', name: 'Kings', lng: -119.8815, lat: 36.0988, zoom: 10, bbox: null, enabled: true }
+];
+let targetCounties = DEFAULT_TARGET_COUNTIES.map(county => ({ ...county })); // User-managed county registry
+
+// CSV export profiles
+// The built-in "Default" profile keeps the original column layout; user profiles are stored alongside it
+const DEFAULT_CSV_HEADERS = [
+  'Document_num',
+  'County_fipscode',
+  'Sales_date',
+  'Sales_amount',
+  'Sold_acre',
+  'price_per_acre',
+  'longitude',
+  'latitude',
+  'crop1',
+  'crop_ac1',
+  'crop2',
+  'crop_ac2',
+  'crop3',
+  'crop_ac3'
+];
+const DEFAULT_EXPORT_PROFILE_NAME = 'Default';
+const LOCATION_EXPORT_PROFILE_NAME = 'Default with location'; // Built-in: the default layout plus the state and county names
+let exportProfiles = []; // User-defined profiles: [{name, columns: [{field, label, dateFormat, decimals}]}]
+let activeExportProfile = DEFAULT_EXPORT_PROFILE_NAME;
+
+// Mapping from courthouse-comps payload fields to record columns
+// Each column takes the first non-empty value among its dot-separated paths (e.g. document_numbers.0)
+const PROPERTY_FIELD_MAPPING = [
+  { column: 'id', paths: ['id'] }, // Keep ID for reference
+  { column: 'Document_num', paths: ['document_numbers.0'] },
+  { column: 'County_fipscode', paths: ['fips_code'] },
+  { column: 'Sales_date', paths: ['sale_date'] },
+  { column: 'Sales_amount', paths: ['sale_amount'] },
+  { column: 'Sold_acre', paths: ['courthouse_acres', 'computed_acres'] }, // Use courthouse_acres for CSV output
+  { column: 'computed_acres', paths: ['computed_acres', 'courthouse_acres'] }, // Used for crop matching
+  { column: 'price_per_acre', paths: ['price_per_acre_computed', 'price_per_acre_courthouse'] },
+  { column: 'longitude', paths: ['centroid.coordinates.0'] },
+  { column: 'latitude', paths: ['centroid.coordinates.1'] }
+];
+const CROP_COLUMNS = ['crop1', 'crop_ac1', 'crop2', 'crop_ac2', 'crop3', 'crop_ac3', 'crop_distribution'];
+const CROP_MATCH_COLUMNS = ['crop_match_confidence', 'crop_match_method', 'crop_match_status'];
+const CAPTURE_COLUMNS = ['captured_at', 'tab_id', 'run_id']; // When, in which tab and by which auto-click run the sale was captured
+// Columns that don't come from the payload and survive a re-derive
+const PRESERVED_COLUMNS = [...CROP_COLUMNS, ...CROP_MATCH_COLUMNS, ...CAPTURE_COLUMNS];
+
+// Crop-to-property correlation
+const CROP_ACRES_TOLERANCE = 0.15; // Acreage difference still considered the same parcel
+const CROP_MATCH_WINDOW = 15000; // A crop request this close (ms) to a capture in the same tab belongs to it
+const CROP_MATCH_MIN_CONFIDENCE = 0.8; // Weaker matches (acreage alone) flag the property instead of filling in its crops
+const MAX_AMBIGUOUS_CROP_MATCHES = 500; // Keep the flagged list bounded
+const MAX_STORED_CROP_RESULTS = 500; // Unmatched crop results kept for properties captured later
+const STORED_CROP_RESULT_TTL = 24 * 60 * 60 * 1000; // Unmatched crop results older than this (ms) are dropped
+
+// Filter rules for sales
+// Each rule's stage is 'off', 'capture' (the record is never stored) or 'export' (stored but left out of files)
+const DEFAULT_FILTER_RULES = {
+  saleDate: { stage: 'off', from: '', to: '' }, // YYYY-MM-DD bounds, inclusive
+  acreage: { stage: 'off', min: '', max: '' }, // Sold_acre bounds
+  pricePerAcre: { stage: 'off', min: '', max: '' }, // price_per_acre bounds
+  fips: { stage: 'off', allowed: [] }, // Allowed County_fipscode values
+  crops: { stage: 'off' } // Crop data must be present
+};
+const CROP_RULE_GRACE_PERIOD = 120000; // How long (ms) a capture-time crop rule waits for crop data
+const CROP_RULE_ALARM = 'cropRuleCheck'; // Wakes the worker when a sale's crop data wait is over
+let cropRuleDeadlines = {}; // Sales captured under a capture-time crop rule, still waiting for crop data: {id: deadline}
+let filterRules = JSON.parse(JSON.stringify(DEFAULT_FILTER_RULES));
+let filterStats = { capture: {}, export: {}, exportTotal: 0, exportedAt: null }; // Excluded record counts per rule
+let captureFilteredIds = new Set(); // Sales already counted as excluded at capture time
+let customFieldMappings = []; // User-added columns: [{column, paths}]
+
+// Data-quality validation
+// Problems with severity 'error' make a record unusable; 'warning' ones are worth a look
+let validationSettings = { exclude: 'none' }; // Left out of exports: 'none', 'errors' (records with errors) or 'flagged' (any problem)
+const VALIDATION_REQUIRED_FIELDS = ['Document_num', 'County_fipscode', 'Sales_date', 'Sales_amount', 'Sold_acre'];
+const VALIDATION_OUTLIER_FACTOR = 4; // Price per acre this many times above or below its county median is an outlier
+const VALIDATION_MIN_COUNTY_RECORDS = 5; // Counties with fewer priced sales have no reliable norm
+const VALIDATION_CROP_ACRES_RATIO = 0.15; // Crop acres differing from Sold_acre by more than this share of it are flagged
+
+// Offline county identification from the bundled boundaries in us-counties.json
+let countyIndex = null; // Built once the boundaries are loaded; records get their location columns from then on
+const LOCATION_COLUMNS = ['State_name', 'County_name', 'location_fips', 'fips_check'];
+// fips_check values: 'match', 'mismatch' (stated FIPS disagrees with the location), 'filled' (FIPS was
+// missing and comes from the location), 'outside' (coordinates in no county) and 'no_coordinates'
+
+// Market statistics for the analytics page
+const MARKET_STATS_GROUPS = ['county', 'month', 'quarter', 'acreage', 'crop'];
+const ACREAGE_BANDS = [0, 10, 40, 80, 160, 320, 640]; // Lower bounds of the Sold_acre bands; the last band is open
+const MARKET_STATS_PERCENTILES = [10, 25, 75, 90];
+
 // Initialize the extension when the service worker starts
 chrome.runtime.onInstalled.addListener(() => {
   console.log('Acres.com Data Extractor initialized');
   
   // Load any saved data
   loadSavedData();
+  loadTargetCounties();
 });
 
-// Listen for completed web requests for property data
-chrome.webRequest.onCompleted.addListener(
-  function(details) {
-    // Filter for GET requests to acres.com with courthouse-comps in the URL
-    if (details.method !== "GET" || !details.url.includes('acres.com/courthouse-comps/')) {
+// Function to add an event to the activity log
+// level is one of LOG_LEVELS; details may carry tabId plus anything worth keeping about the event
+function logEvent(level, category, message, details) {
+  const entry = {
+    time: Date.now(),
+    level: level,
+    category: category,
+    message: message,
+    session: activeSessionId,
+    tabId: details && details.tabId !== undefined ? details.tabId : null,
+    details: details || null
+  };
+  activityLog.push(entry);
+  if (activityLog.length > MAX_LOG_ENTRIES) {
+    activityLog.splice(0, activityLog.length - MAX_LOG_ENTRIES);
+  }
+  
+  // Keep the events in the worker console too
+  const consoleMethod = level === 'error' ? 'error' : (level === 'warn' ? 'warn' : 'log');
+  console[consoleMethod](`[${category}] ${message}`, details || '');
+  
+  scheduleActivityLogSave();
+}
+
+// Helper function to write the activity log shortly after the latest events, instead of once per event
+function scheduleActivityLogSave() {
+  if (!activityLogLoaded || activityLogSaveTimer) {
+    return; // Saved once loading finishes, or by the pending timer
+  }
+  activityLogSaveTimer = setTimeout(() => {
+    activityLogSaveTimer = null;
+    chrome.storage.local.set({ activityLog: activityLog });
+  }, LOG_SAVE_DELAY);
+}
+
+// Function to load the stored activity log
+function loadActivityLog() {
+  chrome.storage.local.get(["activityLog"], function(result) {
+    activityLog = [...(result.activityLog || []), ...activityLog].slice(-MAX_LOG_ENTRIES);
+    activityLogLoaded = true;
+    scheduleActivityLogSave();
+  });
+}
+
+// Helper function to pick the events matching the log page's filters
+// filters = {minLevel, category, session, tabId, search}; empty values match everything
+function filterActivityLog(filters) {
+  filters = filters || {};
+  const minLevel = Math.max(LOG_LEVELS.indexOf(filters.minLevel), 0);
+  const search = filters.search ? String(filters.search).toLowerCase() : '';
+  
+  return activityLog.filter(entry => {
+    if (LOG_LEVELS.indexOf(entry.level) < minLevel) {
+      return false;
+    }
+    if (filters.category && entry.category !== filters.category) {
+      return false;
+    }
+    if (filters.session && entry.session !== filters.session) {
+      return false;
+    }
+    if (filters.tabId && String(entry.tabId) !== String(filters.tabId)) {
+      return false;
+    }
+    if (search && !`${entry.message} ${entry.details ? JSON.stringify(entry.details) : ''}`.toLowerCase().includes(search)) {
+      return false;
+    }
+    return true;
+  });
+}
+
+// Function to get the activity log for the log page, newest first
+function getActivityLog(filters) {
+  const matched = filterActivityLog(filters);
+  return {
+    entries: matched.slice(-LOG_VIEW_LIMIT).reverse(),
+    matched: matched.length,
+    total: activityLog.length,
+    maxEntries: MAX_LOG_ENTRIES,
+    categories: Array.from(new Set(activityLog.map(entry => entry.category))).sort(),
+    sessions: sessions.map(session => ({ id: session.id, name: session.name }))
+  };
+}
+
+// Function to download the events matching the filters as JSON
+function downloadActivityLog(filters) {
+  const entries = filterActivityLog(filters);
+  if (entries.length === 0) {
+    return { status: "error", message: "No log events to download" };
+  }
+  
+  try {
+    const content = JSON.stringify({ exportedAt: new Date().toISOString(), filters: filters || {}, events: entries }, null, 2);
+    startDownload(content, 'acres_activity_log.json', 'application/json');
+    return { status: "downloading" };
+  } catch (error) {
+    logEvent('error', 'export', `Error creating activity log download: ${error.message}`);
+    return { status: "error", message: error.message };
+  }
+}
+
+// Function to handle a courthouse-comps payload captured in the page
+// context = {tabId, timestamp} of the page request that returned it
+function handlePropertyPayload(data, context) {
+  // Sale ids are strings in every set and lookup, whatever type the payload used
+  if (data && data.id) {
+    data = { ...data, id: String(data.id) };
+  }
+  
+  // Whatever happens to the sale below, the marker that opened it is done
+  if (data && data.id) {
+    linkSaleToClickedMarker(data.id, context);
+  }
+  
+  // Check if this has the expected structure and is not a duplicate
+  if (data && data.id && !collectedIds.has(data.id) && !importedIds.has(data.id)) {
+    // Add this ID to our set of processed IDs to prevent duplicates
+    collectedIds.add(data.id);
+    
+    // Keep the full payload so columns can be re-derived later without re-browsing
+    rawPayloads[data.id] = data;
+    rawPayloadsChanged = true;
+    
+    // Transform to the mapped columns; crop columns are filled in once a crop result is correlated
+    const projection = projectPropertyItem(data);
+    
+    // Sales from an imported export are already harvested
+    if (projection.Document_num && importedDocumentNumbers.has(String(projection.Document_num))) {
+      collectedIds.delete(data.id);
+      delete rawPayloads[data.id];
+      rawPayloadsChanged = true;
+      importedIds.add(data.id);
+      logEvent('info', 'duplicate', `Skipped sale ${data.id}, known from an imported export`, { tabId: context.tabId, saleId: data.id, documentNumber: projection.Document_num });
       return;
     }
     
-    // Fetch the response to get the actual content
-    fetch(details.url, {
-      credentials: 'include',  // Include cookies for authenticated requests
-      headers: {
-        'Accept': 'application/json'
-      }
-    })
-    .then(response => {
-      if (!response.ok) {
-        throw new Error('Network response was not ok: ' + response.status);
-      }
-      return response.json();
-    })
-    .then(data => {
-      // Check if this has the expected structure and is not a duplicate
-      if (data && data.id && !collectedIds.has(data.id)) {
-        console.log('Found new property data:', data.id);
-        
-        // Get the FIPS code for this property (now accepting all counties)
-        const fipsCode = data.fips_code || '';
-        console.log('Processing property with FIPS code:', fipsCode);
-        
-        // Add this ID to our set of processed IDs to prevent duplicates
-        collectedIds.add(data.id);
-        
-        // Use computed_acres for finding crop data, but courthouse_acres for CSV output
-        const computedAcres = data.computed_acres || data.courthouse_acres;
-        const courthouseAcres = data.courthouse_acres || data.computed_acres;
-        const cropDataForProperty = findMatchingCropData(computedAcres);
-        
-        // Transform to the specific fields requested
-        const propertyItem = {
-          id: data.id, // Keep ID for reference
-          Document_num: data.document_numbers ? data.document_numbers[0] : '',
-          County_fipscode: fipsCode,
-          Sales_date: data.sale_date || '',
-          Sales_amount: data.sale_amount || '',
-          Sold_acre: courthouseAcres || '', // Use courthouse_acres for CSV output
-          computed_acres: computedAcres || '', // Store computed_acres for matching but don't include in CSV
-          price_per_acre: data.price_per_acre_computed || data.price_per_acre_courthouse || '',
-          longitude: data.centroid?.coordinates?.[0] || '',
-          latitude: data.centroid?.coordinates?.[1] || '',
-          // Add crop data if available
-          crop1: cropDataForProperty ? cropDataForProperty.crop1 : '',
-          crop_ac1: cropDataForProperty ? cropDataForProperty.crop_ac1 : '',
-          crop2: cropDataForProperty ? cropDataForProperty.crop2 : '',
-          crop_ac2: cropDataForProperty ? cropDataForProperty.crop_ac2 : '',
-          crop3: cropDataForProperty ? cropDataForProperty.crop3 : '',
-          crop_ac3: cropDataForProperty ? cropDataForProperty.crop_ac3 : ''
-        };
-        
-        // Store the data in our array
-        collectedData.push(propertyItem);
-        
-        // Update the badge to show count of collected items
-        chrome.action.setBadgeText({text: collectedData.length.toString()});
-        chrome.action.setBadgeBackgroundColor({color: '#4CAF50'});
-        
-        // Save data to storage
-        saveDataToStorage();
-        
-        console.log('Data added. Total properties:', collectedData.length);
-      } else if (data && data.id && collectedIds.has(data.id)) {
-        console.log('Skipping duplicate property:', data.id);
-      }
-    })
-    .catch(error => {
-      console.error('Error processing property response:', error.message, error.stack);
-      // Consider adding retry logic here if needed
-    });
-  },
-  {urls: ["*://*.acres.com/*courthouse-comps/*"]}
-);
-
-// Capture and store the request body for crop data requests
-chrome.webRequest.onBeforeRequest.addListener(
-  function(details) {
-    // Only process POST requests to the crop stats endpoint
-    if (details.method !== "POST" || !details.url.includes('acres.com/geoserver/cdl_stats/latest')) {
+    // Capture-time filter rules: matching sales are not stored at all
+    const failedRules = getFailedFilterRules(projection, 'capture').filter(rule => rule !== 'crops');
+    if (failedRules.length > 0) {
+      collectedIds.delete(data.id);
+      delete rawPayloads[data.id];
+      rawPayloadsChanged = true;
+      countCaptureExclusion(data.id, failedRules);
+      logEvent('info', 'filter', `Sale ${data.id} excluded at capture by rules: ${failedRules.join(', ')}`, { tabId: context.tabId, saleId: data.id, rules: failedRules });
       return;
     }
     
-    // Get the request body
-    if (details.requestBody) {
-      let requestBodyStr = '';
-      
-      try {
-        if (details.requestBody.raw) {
-          // Handle raw binary data
-          const decoder = new TextDecoder();
-          requestBodyStr = details.requestBody.raw.map(chunk => {
-            return chunk.bytes ? decoder.decode(chunk.bytes) : '';
-          }).join('');
-        } else if (details.requestBody.formData) {
-          // Handle form data
-          requestBodyStr = JSON.stringify(details.requestBody.formData);
-        }
-        
-        // Try to parse request body to extract acres information
-        try {
-          const requestBody = JSON.parse(requestBodyStr);
-          if (requestBody && requestBody.acres) {
-            // Store request with timestamp and acres info
-            pendingCropRequests.set(details.requestId, {
-              timestamp: Date.now(),
-              acres: requestBody.acres,
-              retryCount: 0
-            });
-          }
-        } catch (parseError) {
-          console.log('Could not parse request body as JSON, storing as string');
-        }
-        
-        // Store with request ID for later use
-        cropRequestBodies[details.requestId] = requestBodyStr;
-        console.log('Captured crop data request body for ID:', details.requestId);
-      } catch (error) {
-        console.error('Error capturing request body:', error);
-      }
+    const propertyItem = {
+      ...projection,
+      crop1: '',
+      crop_ac1: '',
+      crop2: '',
+      crop_ac2: '',
+      crop3: '',
+      crop_ac3: '',
+      crop_distribution: [],
+      crop_match_confidence: '',
+      crop_match_method: '',
+      crop_match_status: 'pending',
+      captured_at: context.timestamp || Date.now(),
+      tab_id: context.tabId,
+      run_id: autoClickRuns[context.tabId] ? autoClickRuns[context.tabId].runId : ''
+    };
+    
+    // Store the data in our array
+    collectedData.push(propertyItem);
+    
+    // Progress for the stop conditions of the run in this tab
+    const run = autoClickRuns[context.tabId];
+    if (run) {
+      run.stats.newProperties++;
+      run.stats.lastNewAt = Date.now();
     }
-  },
-  {urls: ["*://*.acres.com/geoserver/cdl_stats/latest*"]},
-  ["requestBody"]
-);
-
-// Modified listener for completed crop data requests
-chrome.webRequest.onCompleted.addListener(
-  function(details) {
-    // Only process POST requests to the crop stats endpoint
-    if (details.method !== "POST" || !details.url.includes('acres.com/geoserver/cdl_stats/latest')) {
-      return;
+    
+    // Crop results that arrived before this property may belong to it
+    resolveStoredCropResults(propertyItem);
+    
+    // A capture-time crop rule gives the crop data a while to arrive
+    if (filterRules.crops.stage === 'capture' && getCropDistribution(propertyItem).length === 0) {
+      cropRuleDeadlines[propertyItem.id] = Date.now() + CROP_RULE_GRACE_PERIOD;
+      scheduleCropRuleCheck();
     }
     
-    processCropRequest(details.requestId, details.url);
-  },
-  {urls: ["*://*.acres.com/geoserver/cdl_stats/latest*"]}
-);
+    // Update the badge to show count of collected items
+    chrome.action.setBadgeText({text: collectedData.length.toString()});
+    chrome.action.setBadgeBackgroundColor({color: '#4CAF50'});
+    
+    // Save data to storage
+    saveDataToStorage();
+    
+    logEvent('info', 'capture', `Captured sale ${data.id} (${collectedData.length} total)`, {
+      tabId: context.tabId,
+      saleId: data.id,
+      fips: propertyItem.County_fipscode,
+      runId: propertyItem.run_id
+    });
+  } else if (data && data.id && collectedIds.has(data.id)) {
+    logEvent('debug', 'duplicate', `Skipped duplicate sale ${data.id}`, { tabId: context.tabId, saleId: data.id });
+  } else if (data && data.id) {
+    logEvent('debug', 'duplicate', `Skipped sale ${data.id}, known from an imported export`, { tabId: context.tabId, saleId: data.id });
+  }
+}
 
-// Handle errors in crop data requests
-chrome.webRequest.onErrorOccurred.addListener(
-  function(details) {
-    // Only process POST requests to the crop stats endpoint
-    if (details.method !== "POST" || !details.url.includes('acres.com/geoserver/cdl_stats/latest')) {
+// Function to handle a response captured in the page by capture-page.js
+// The page's own fetch/XHR responses are used, so nothing is requested from acres.com a second time
+function handleCapturedResponse(capture, tabId) {
+  recordResponseForPacing(capture, tabId);
+  
+  if (capture.kind === 'property') {
+    if (!capture.ok || !capture.body) {
+      logEvent('error', 'capture', `Property request failed in page: ${capture.error || capture.status}`, { tabId: tabId, url: capture.url, status: capture.status });
+      queuePropertyRetry(capture.url, tabId, capture.error || `HTTP ${capture.status}`, capture.status);
       return;
     }
     
-    console.log(`Error occurred in crop data request: ${details.error} for ID: ${details.requestId}`);
+    handlePropertyPayload(capture.body, { tabId: tabId, timestamp: capture.startedAt });
+  } else if (capture.kind === 'crop') {
+    const requestId = `page-${tabId}-${capture.requestNumber}-${capture.startedAt}`;
     
-    // Check if this is a request we're tracking
-    if (pendingCropRequests.has(details.requestId)) {
-      const requestInfo = pendingCropRequests.get(details.requestId);
-      
-      // If we haven't exceeded max retries, add to retry queue
-      if (requestInfo.retryCount < MAX_RETRIES) {
-        requestInfo.retryCount++;
-        pendingCropRequests.set(details.requestId, requestInfo);
-        
-        // Add to retry queue with delay
-        setTimeout(() => {
-          console.log(`Retrying crop data request (attempt ${requestInfo.retryCount})`);
-          processCropRequest(details.requestId, details.url);
-        }, RETRY_DELAY * requestInfo.retryCount);
-      } else {
-        console.error(`Failed to get crop data after ${MAX_RETRIES} retries for request ID: ${details.requestId}`);
-        pendingCropRequests.delete(details.requestId);
-        delete cropRequestBodies[details.requestId];
+    // Store request with timestamp, tab and the acres, geometry and parcel it was issued for
+    let context = { acres: null, geometry: null, parcelId: null };
+    try {
+      const requestBody = JSON.parse(capture.requestBody);
+      context = extractCropRequestContext(requestBody);
+      learnCropRequestTemplate(requestBody, capture.url);
+    } catch (parseError) {
+      console.log('Could not parse request body as JSON, storing as string');
+    }
+    pendingCropRequests.set(requestId, {
+      timestamp: capture.startedAt,
+      tabId: tabId,
+      acres: context.acres,
+      geometry: context.geometry,
+      parcelId: context.parcelId,
+      url: capture.url,
+      retryCount: 0
+    });
+    
+    if (capture.ok && capture.body) {
+      try {
+        handleCropPayload(requestId, capture.body);
+      } catch (error) {
+        logEvent('error', 'crop', `Error processing crop data: ${error.message}`, { tabId: tabId, requestId: requestId });
+        pendingCropRequests.delete(requestId);
       }
+      return;
     }
-  },
-  {urls: ["*://*.acres.com/geoserver/cdl_stats/latest*"]}
-);
+    
+    // The page's request failed - replay it ourselves, following the usual retry rules
+    logEvent('warn', 'crop', `Crop data request failed in page: ${capture.error || capture.status}`, { tabId: tabId, requestId: requestId, status: capture.status });
+    if (capture.requestBody) {
+      cropRequestBodies[requestId] = capture.requestBody;
+      scheduleCropRetry(requestId, capture.url);
+    } else {
+      pendingCropRequests.delete(requestId);
+    }
+    savePendingCropWork();
+  }
+}
 
-// Function to process crop data requests (both initial and retries)
-function processCropRequest(requestId, url) {
-  // Get the stored request body
-  const requestBodyStr = cropRequestBodies[requestId];
-  if (!requestBodyStr) {
-    console.error('No request body found for request ID:', requestId);
+// Helper function to check whether a failed fetch is worth retrying: network errors, 429 and 5xx
+// Anything else (e.g. 404, or 403 after the login expired) goes straight to the dead-letter list
+function isRetryableStatus(status) {
+  return !status || status === 429 || status >= 500;
+}
+
+// Function to queue a failed courthouse-comps fetch for a retry with exponential backoff
+function queuePropertyRetry(url, tabId, error, status) {
+  if (!url || retryQueue.some(entry => entry.url === url)) {
     return;
   }
   
-  console.log('Processing crop data request for ID:', requestId);
+  const entry = { url: url, tabId: tabId, attempts: 0, nextAt: 0, lastError: error, firstFailedAt: Date.now() };
+  if (!isRetryableStatus(status)) {
+    moveToDeadLetters(entry);
+    return;
+  }
+  retryQueue.push(entry);
+  schedulePropertyRetry(entry);
+}
+
+// Function to set the timer for a queued fetch's next attempt
+function schedulePropertyRetry(entry) {
+  const delay = RETRY_DELAY * Math.pow(2, entry.attempts);
+  entry.nextAt = Date.now() + delay;
+  savePropertyRetryWork();
+  startPropertyRetryTimer(entry);
+  logEvent('warn', 'retry', `Property fetch retry ${entry.attempts + 1}/${MAX_RETRIES} in ${delay / 1000}s`, { tabId: entry.tabId, url: entry.url });
+}
+
+// Helper function to start the timer for an entry's nextAt
+function startPropertyRetryTimer(entry) {
+  clearTimeout(propertyRetryTimers[entry.url]);
+  propertyRetryTimers[entry.url] = setTimeout(() => {
+    delete propertyRetryTimers[entry.url];
+    retryPropertyFetch(entry);
+  }, Math.max(0, entry.nextAt - Date.now()));
+}
+
+// Function to fetch a queued courthouse-comps URL again and store the sale it returns
+function retryPropertyFetch(entry) {
+  if (!retryQueue.includes(entry)) {
+    return; // Dropped while waiting
+  }
   
-  // Make the fetch request with the original body
-  fetch(url, {
-    method: 'POST',
+  // Retries count against the shared rate limit like the page's own requests
+  const rateLimitWait = getSharedRateLimitWait();
+  if (rateLimitWait > 0) {
+    entry.nextAt = Date.now() + rateLimitWait;
+    startPropertyRetryTimer(entry);
+    return;
+  }
+  sharedRequestTimes.push(Date.now());
+  entry.attempts++;
+  
+  let status = 0;
+  fetch(entry.url, {
+    method: 'GET',
     credentials: 'include',
     headers: {
-      'Accept': 'application/json',
-      'Content-Type': 'application/json'
-    },
-    body: requestBodyStr
+      'Accept': 'application/json'
+    }
   })
   .then(response => {
+    status = response.status;
     if (!response.ok) {
       throw new Error('Network response was not ok: ' + response.status);
     }
     return response.json();
   })
   .then(data => {
-    // Add extra validation to ensure data has the expected structure
-    if (!data) {
-      throw new Error('Response data is undefined or null');
+    if (!data || !data.id) {
+      throw new Error('Response has no sale id');
     }
-    
-    if (!data.info) {
-      throw new Error('Response data missing info property');
+    retryQueue = retryQueue.filter(queued => queued !== entry);
+    savePropertyRetryWork();
+    logEvent('info', 'retry', `Property fetch succeeded on retry ${entry.attempts}`, { tabId: entry.tabId, url: entry.url, saleId: data.id });
+    handlePropertyPayload(data, { tabId: entry.tabId, timestamp: Date.now() });
+  })
+  .catch(error => {
+    entry.lastError = error.message;
+    if (entry.attempts >= MAX_RETRIES || (status && !isRetryableStatus(status))) {
+      retryQueue = retryQueue.filter(queued => queued !== entry);
+      moveToDeadLetters(entry);
+    } else {
+      schedulePropertyRetry(entry);
     }
-    
-    const { info } = data;
-    
-    if (!info.labels || !info.data || typeof info.acres === 'undefined') {
-      throw new Error('Response data missing required properties');
+  });
+}
+
+// Function to give up on a fetch and list it with the failed ones
+function moveToDeadLetters(entry) {
+  deadLetterFetches = deadLetterFetches.filter(failed => failed.url !== entry.url);
+  deadLetterFetches.push({
+    url: entry.url,
+    tabId: entry.tabId,
+    attempts: entry.attempts,
+    lastError: entry.lastError,
+    firstFailedAt: entry.firstFailedAt,
+    failedAt: Date.now()
+  });
+  if (deadLetterFetches.length > MAX_DEAD_LETTERS) {
+    deadLetterFetches = deadLetterFetches.slice(-MAX_DEAD_LETTERS);
+  }
+  savePropertyRetryWork();
+  logEvent('error', 'retry', `Gave up on property fetch after ${entry.attempts} retries: ${entry.lastError}`, { tabId: entry.tabId, url: entry.url });
+}
+
+// Function to put every failed fetch back in the retry queue
+function retryAllFailedFetches() {
+  const failed = deadLetterFetches;
+  deadLetterFetches = [];
+  failed.forEach(entry => {
+    if (retryQueue.some(queued => queued.url === entry.url)) {
+      return;
+    }
+    const queued = { url: entry.url, tabId: entry.tabId, attempts: 0, nextAt: Date.now(), lastError: entry.lastError, firstFailedAt: entry.firstFailedAt };
+    retryQueue.push(queued);
+    startPropertyRetryTimer(queued);
+  });
+  savePropertyRetryWork();
+  logEvent('info', 'retry', `Retrying ${failed.length} failed property fetches`);
+  return failed.length;
+}
+
+// Function to save the retry queue and the dead-letter list, so they outlive a suspended worker
+function savePropertyRetryWork() {
+  chrome.storage.local.set({
+    propertyRetryWork: {
+      queue: retryQueue,
+      deadLetters: deadLetterFetches
+    }
+  });
+}
+
+// Function to pick up the retries a previous worker left behind
+function restorePropertyRetryWork() {
+  chrome.storage.local.get(["propertyRetryWork"], function(result) {
+    const work = result.propertyRetryWork;
+    if (!work) {
+      return;
     }
     
-    console.log('Successfully fetched crop data, acres:', info.acres);
-    
-    // Create an array of {name, value} pairs for sorting
-    const cropPairs = info.labels.map((label, index) => {
-      return {
-        name: label,
-        value: info.data[index],
-        acres: info.data[index] * info.acres
-      };
+    (work.queue || []).forEach(entry => {
+      if (!retryQueue.some(queued => queued.url === entry.url)) {
+        retryQueue.push(entry);
+        startPropertyRetryTimer(entry);
+      }
     });
+    deadLetterFetches = [...(work.deadLetters || []), ...deadLetterFetches].slice(-MAX_DEAD_LETTERS);
     
-    // Sort by value in descending order
-    cropPairs.sort((a, b) => b.value - a.value);
-    
-    // Create a crop data object with the top 3 crops
-    const cropDataObject = {
-      crop1: cropPairs.length > 0 ? cropPairs[0].name : '',
-      crop_ac1: cropPairs.length > 0 ? cropPairs[0].acres.toFixed(2) : '',
-      crop2: cropPairs.length > 1 ? cropPairs[1].name : '',
-      crop_ac2: cropPairs.length > 1 ? cropPairs[1].acres.toFixed(2) : '',
-      crop3: cropPairs.length > 2 ? cropPairs[2].name : '',
-      crop_ac3: cropPairs.length > 2 ? cropPairs[2].acres.toFixed(2) : ''
-    };
-    
-    // Store this crop data with the acres as the key
-    const acresKey = info.acres.toFixed(2);
-    cropDataStore[acresKey] = cropDataObject;
-    
-    // Update any matching property records
-    const updated = updatePropertiesWithCropData(info.acres, cropDataObject);
-    if (updated) {
-      console.log('Updated properties with crop data for acres:', info.acres);
-    } else {
-      console.log('No matching properties found for crop data with acres:', info.acres);
-      // Store the crop data anyway - it might match a property we see later
+    if (retryQueue.length > 0) {
+      logEvent('info', 'retry', `Restored ${retryQueue.length} pending property retries after a worker restart`);
     }
+  });
+}
+
+// Function to describe the retry queue and the dead-letter list for the popup
+function getPropertyRetryStatus() {
+  return {
+    queued: retryQueue.length,
+    nextRetryAt: retryQueue.length > 0 ? Math.min(...retryQueue.map(entry => entry.nextAt)) : null,
+    deadLetters: deadLetterFetches.slice().reverse()
+  };
+}
+
+// Helper function to schedule a retry of a crop data request with exponential backoff
+function scheduleCropRetry(requestId, url) {
+  const requestInfo = pendingCropRequests.get(requestId);
+  
+  // If we haven't exceeded max retries, schedule a retry
+  if (requestInfo && requestInfo.retryCount < MAX_RETRIES) {
+    requestInfo.retryCount++;
     
-    // Save data to storage
-    saveDataToStorage();
-    
-    // Clean up stored request data
+    // Schedule retry with exponential backoff; retryAt lets a restarted worker pick it up
+    const delay = RETRY_DELAY * Math.pow(2, requestInfo.retryCount - 1);
+    requestInfo.retryAt = Date.now() + delay;
+    pendingCropRequests.set(requestId, requestInfo);
+    logEvent('warn', 'retry', `Crop data request retry ${requestInfo.retryCount}/${MAX_RETRIES} in ${delay / 1000}s`, { tabId: requestInfo.tabId, requestId: requestId });
+    setTimeout(() => {
+      console.log(`Retrying crop data request (attempt ${requestInfo.retryCount})`);
+      processCropRequest(requestId, url);
+    }, delay);
+  } else {
+    logEvent('error', 'retry', `Gave up on crop data request after ${MAX_RETRIES} retries`, { tabId: requestInfo ? requestInfo.tabId : null, requestId: requestId });
     pendingCropRequests.delete(requestId);
     delete cropRequestBodies[requestId];
-  })
-  .catch(error => {
-    console.error('Error processing crop data:', error.message, error.stack);
+    if (requestInfo && requestInfo.backfillFor) {
+      finishBackfillRequest(requestInfo.backfillFor, false);
+    }
+  }
+  savePendingCropWork();
+}
+
+// Function to save the crop requests waiting for a retry, so they outlive a suspended worker
+function savePendingCropWork() {
+  const requests = Array.from(pendingCropRequests.entries()).filter(([requestId]) => cropRequestBodies[requestId]);
+  chrome.storage.local.set({
+    pendingCropWork: {
+      requests: requests,
+      bodies: cropRequestBodies
+    }
+  });
+}
+
+// Function to forget crop requests waiting for a retry (they belong to the session being left)
+function dropPendingCropWork() {
+  cropRequestBodies = {};
+  pendingCropRequests.clear();
+  savePendingCropWork();
+  if (cropBackfill.running) {
+    stopCropBackfill('The session changed');
+  }
+}
+
+// Function to pick up crop retries saved before the worker was suspended
+// Each retry runs when it was due, or right away if that time has passed
+function restorePendingCropWork() {
+  chrome.storage.local.get(["pendingCropWork", "cropBackfill", "cropRequestTemplate"], function(result) {
+    if (result.cropRequestTemplate && !cropRequestTemplate) {
+      cropRequestTemplate = result.cropRequestTemplate;
+    }
     
-    // Check if this is a request we're tracking for retries
-    if (pendingCropRequests.has(requestId)) {
-      const requestInfo = pendingCropRequests.get(requestId);
-      
-      // If we haven't exceeded max retries, schedule a retry
-      if (requestInfo.retryCount < MAX_RETRIES) {
-        requestInfo.retryCount++;
-        pendingCropRequests.set(requestId, requestInfo);
-        
-        // Schedule retry with exponential backoff
-        setTimeout(() => {
-          console.log(`Retrying crop data request (attempt ${requestInfo.retryCount})`);
-          processCropRequest(requestId, url);
-        }, RETRY_DELAY * Math.pow(2, requestInfo.retryCount - 1));
+    const work = result.pendingCropWork;
+    if (!work || !Array.isArray(work.requests)) {
+      resumeCropBackfill(result.cropBackfill);
+      return;
+    }
+    
+    work.requests.forEach(([requestId, requestInfo]) => {
+      if (pendingCropRequests.has(requestId) || !work.bodies[requestId] || !requestInfo.url) {
+        return;
+      }
+      pendingCropRequests.set(requestId, requestInfo);
+      cropRequestBodies[requestId] = work.bodies[requestId];
+      setTimeout(() => {
+        console.log(`Retrying crop data request after worker restart (attempt ${requestInfo.retryCount})`);
+        processCropRequest(requestId, requestInfo.url);
+      }, Math.max(0, (requestInfo.retryAt || 0) - Date.now()));
+    });
+    
+    if (work.requests.length > 0) {
+      console.log('Restored pending crop retries:', work.requests.length);
+    }
+    resumeCropBackfill(result.cropBackfill);
+  });
+}
+
+// Function to remember the shape of a cdl_stats request, so the backfill can send its own
+// Only bodies that carry a parcel geometry are useful - the backfill swaps in each record's geometry
+function learnCropRequestTemplate(requestBody, url) {
+  if (!requestBody || typeof requestBody !== 'object' || !url) {
+    return false;
+  }
+  
+  const geometryKey = CROP_REQUEST_GEOMETRY_KEYS.find(key => requestBody[key]);
+  if (!geometryKey) {
+    return false;
+  }
+  const value = requestBody[geometryKey];
+  let geometryFormat = 'object';
+  if (typeof value === 'string') {
+    geometryFormat = 'string';
+  } else if (geometryKey === 'feature' || value.type === 'Feature') {
+    geometryFormat = 'feature';
+  }
+  
+  const known = cropRequestTemplate;
+  cropRequestTemplate = { url: url, body: requestBody, geometryKey: geometryKey, geometryFormat: geometryFormat };
+  if (!known || known.url !== url || known.geometryKey !== geometryKey || known.geometryFormat !== geometryFormat) {
+    chrome.storage.local.set({ cropRequestTemplate: cropRequestTemplate });
+  }
+  return true;
+}
+
+// Helper function to get a record's parcel geometry (Polygon or MultiPolygon) from its stored payload
+function getPropertyGeometry(item) {
+  const data = rawPayloads[item.id];
+  if (!data) {
+    return null;
+  }
+  
+  for (const key of PAYLOAD_GEOMETRY_KEYS) {
+    let geometry = data[key];
+    if (typeof geometry === 'string') {
+      try {
+        geometry = JSON.parse(geometry);
+      } catch (e) {
+        geometry = null;
+      }
+    }
+    if (geometry && geometry.type === 'Feature') {
+      geometry = geometry.geometry;
+    }
+    if (geometry && (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') && Array.isArray(geometry.coordinates)) {
+      return geometry;
+    }
+  }
+  return null;
+}
+
+// Helper function to build a cdl_stats request body for a record from the learned template
+function buildBackfillRequestBody(item, geometry) {
+  const body = JSON.parse(JSON.stringify(cropRequestTemplate.body));
+  const template = cropRequestTemplate;
+  
+  if (template.geometryFormat === 'string') {
+    body[template.geometryKey] = JSON.stringify(geometry);
+  } else if (template.geometryFormat === 'feature') {
+    body[template.geometryKey] = { ...body[template.geometryKey], type: 'Feature', geometry: geometry };
+  } else {
+    body[template.geometryKey] = geometry;
+  }
+  
+  const acres = parseFloat(item.computed_acres || item.Sold_acre);
+  if (body.acres !== undefined && isFinite(acres)) {
+    body.acres = acres;
+  }
+  return JSON.stringify(body);
+}
+
+// Helper function to put backfilled crop data on the record it was requested for
+// Returns 'matched', or 'unmatched' when the record is gone
+function applyBackfilledCrops(itemId, cropData) {
+  const index = collectedData.findIndex(item => item.id === itemId);
+  if (index === -1) {
+    return 'unmatched';
+  }
+  
+  collectedData[index] = {
+    ...collectedData[index],
+    ...cropData,
+    crop_match_confidence: 1,
+    crop_match_method: 'backfill',
+    crop_match_status: 'matched'
+  };
+  clearCropRuleDeadline(itemId);
+  logEvent('info', 'crop', `Backfilled crop data for sale ${itemId}`, { saleId: itemId });
+  return 'matched';
+}
+
+// Helper function to list the records without crop data
+function getRecordsMissingCrops() {
+  return collectedData.filter(item => !item.crop1);
+}
+
+// Function to save the backfill progress, so a restarted worker can carry on
+function saveCropBackfill() {
+  chrome.storage.local.set({ cropBackfill: cropBackfill });
+}
+
+// Function to start backfilling crop data for every record that has none
+// Throws when no cdl_stats request has been seen yet, since its shape is needed
+function startCropBackfill() {
+  if (cropBackfill.running) {
+    return;
+  }
+  
+  // A failed request waiting for a retry shows the shape as well as a captured one
+  if (!cropRequestTemplate) {
+    Object.keys(cropRequestBodies).some(requestId => {
+      const requestInfo = pendingCropRequests.get(requestId);
+      try {
+        return requestInfo && learnCropRequestTemplate(JSON.parse(cropRequestBodies[requestId]), requestInfo.url);
+      } catch (e) {
+        return false;
+      }
+    });
+  }
+  if (!cropRequestTemplate) {
+    throw new Error('No crop request with a parcel geometry seen yet - open a parcel on acres.com first');
+  }
+  
+  const missing = getRecordsMissingCrops();
+  const queue = missing.filter(item => getPropertyGeometry(item)).map(item => item.id);
+  cropBackfill = {
+    running: queue.length > 0,
+    queue: queue,
+    total: queue.length,
+    done: 0,
+    failed: 0,
+    skipped: missing.length - queue.length,
+    current: null,
+    startedAt: Date.now(),
+    finishedAt: queue.length > 0 ? null : Date.now(),
+    message: queue.length > 0 ? 'Running' : 'No record without crop data has a stored parcel geometry'
+  };
+  saveCropBackfill();
+  logEvent('info', 'crop', `Crop backfill started for ${queue.length} records (${cropBackfill.skipped} without parcel geometry)`);
+  
+  if (cropBackfill.running) {
+    scheduleNextBackfill(0);
+  }
+}
+
+// Function to stop the backfill; a request already sent still finishes
+function stopCropBackfill(reason) {
+  if (!cropBackfill.running) {
+    return;
+  }
+  clearTimeout(cropBackfillTimer);
+  cropBackfill.running = false;
+  cropBackfill.current = null;
+  cropBackfill.finishedAt = Date.now();
+  cropBackfill.message = reason || 'Stopped by user';
+  saveCropBackfill();
+  logEvent('info', 'crop', `Crop backfill stopped: ${cropBackfill.message}`);
+}
+
+// Function to wait, then send the backfill's next request
+function scheduleNextBackfill(delay) {
+  clearTimeout(cropBackfillTimer);
+  cropBackfillTimer = setTimeout(runNextBackfill, delay);
+}
+
+// Function to send the next backfill request, one at a time and within the shared rate limit
+function runNextBackfill() {
+  if (!cropBackfill.running) {
+    return;
+  }
+  
+  const rateLimitWait = getSharedRateLimitWait();
+  if (rateLimitWait > 0) {
+    scheduleNextBackfill(rateLimitWait);
+    return;
+  }
+  
+  // Records can be deleted, or get crops from the page, while they wait
+  let item = null;
+  while (cropBackfill.queue.length > 0 && !item) {
+    const itemId = cropBackfill.queue.shift();
+    item = collectedData.find(entry => entry.id === itemId && !entry.crop1) || null;
+    if (!item) {
+      cropBackfill.skipped++;
+    }
+  }
+  if (!item) {
+    finishCropBackfill();
+    return;
+  }
+  
+  const geometry = getPropertyGeometry(item);
+  const requestId = `backfill-${item.id}-${Date.now()}`;
+  cropRequestBodies[requestId] = buildBackfillRequestBody(item, geometry);
+  pendingCropRequests.set(requestId, {
+    timestamp: Date.now(),
+    tabId: null,
+    acres: null,
+    geometry: geometry,
+    parcelId: null,
+    url: cropRequestTemplate.url,
+    retryCount: 0,
+    backfillFor: item.id
+  });
+  sharedRequestTimes.push(Date.now());
+  cropBackfill.current = item.id;
+  saveCropBackfill();
+  savePendingCropWork();
+  
+  processCropRequest(requestId, cropRequestTemplate.url);
+}
+
+// Function to count a backfill request as done (succeeded, or gave up after MAX_RETRIES) and move on
+function finishBackfillRequest(itemId, succeeded) {
+  if (!cropBackfill.running || cropBackfill.current !== itemId) {
+    return;
+  }
+  if (succeeded) {
+    cropBackfill.done++;
+  } else {
+    cropBackfill.failed++;
+  }
+  cropBackfill.current = null;
+  saveCropBackfill();
+  
+  if (cropBackfill.queue.length === 0) {
+    finishCropBackfill();
+  } else {
+    scheduleNextBackfill(CROP_BACKFILL_DELAY);
+  }
+}
+
+// Function to end a backfill that went through its whole queue
+function finishCropBackfill() {
+  cropBackfill.running = false;
+  cropBackfill.current = null;
+  cropBackfill.finishedAt = Date.now();
+  cropBackfill.message = 'Finished';
+  saveCropBackfill();
+  logEvent('info', 'crop', `Crop backfill finished: ${cropBackfill.done} filled, ${cropBackfill.failed} failed, ${cropBackfill.skipped} skipped`);
+}
+
+// Function to carry on with a backfill that was running when the worker was suspended
+// Its request in flight comes back with the pending crop retries; otherwise the next one is sent
+function resumeCropBackfill(savedBackfill) {
+  if (!savedBackfill || !savedBackfill.running || cropBackfill.running) {
+    return;
+  }
+  cropBackfill = savedBackfill;
+  cropBackfill.queue = cropBackfill.queue.map(String);
+  
+  const inFlight = Array.from(pendingCropRequests.values()).some(requestInfo => requestInfo.backfillFor === cropBackfill.current);
+  if (!inFlight) {
+    cropBackfill.current = null;
+    scheduleNextBackfill(CROP_BACKFILL_DELAY);
+  }
+  logEvent('info', 'crop', `Resumed crop backfill after a worker restart, ${cropBackfill.queue.length} records left`);
+}
+
+// Function to describe the backfill for the popup
+function getCropBackfillStatus() {
+  const { queue, ...status } = cropBackfill;
+  return {
+    ...status,
+    remaining: queue.length,
+    missingCrops: getRecordsMissingCrops().length,
+    hasTemplate: !!cropRequestTemplate
+  };
+}
+
+// Function to send a crop data request ourselves: retries of failed page requests, and the crop backfill
+function processCropRequest(requestId, url) {
+  // Get the stored request body
+  const requestBodyStr = cropRequestBodies[requestId];
+  if (!requestBodyStr) {
+    console.error('No request body found for request ID:', requestId);
+    return;
+  }
+  
+  console.log('Processing crop data request for ID:', requestId);
+  
+  // Make the fetch request with the original body
+  fetch(url, {
+    method: 'POST',
+    credentials: 'include',
+    headers: {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json'
+    },
+    body: requestBodyStr
+  })
+  .then(response => {
+    if (!response.ok) {
+      throw new Error('Network response was not ok: ' + response.status);
+    }
+    return response.json();
+  })
+  .then(data => {
+    const requestInfo = pendingCropRequests.get(requestId) || {};
+    handleCropPayload(requestId, data);
+    delete cropRequestBodies[requestId];
+    savePendingCropWork();
+    if (requestInfo.backfillFor) {
+      finishBackfillRequest(requestInfo.backfillFor, true);
+    }
+  })
+  .catch(error => {
+    logEvent('error', 'retry', `Crop data retry failed: ${error.message}`, { requestId: requestId });
+    scheduleCropRetry(requestId, url);
+  });
+}
+
+// Function to turn a cdl_stats response into crop data and tie it to its property
+// Throws when the response doesn't have the expected structure
+function handleCropPayload(requestId, data) {
+  // Add extra validation to ensure data has the expected structure
+  if (!data) {
+    throw new Error('Response data is undefined or null');
+  }
+  
+  if (!data.info) {
+    throw new Error('Response data missing info property');
+  }
+  
+  const { info } = data;
+  
+  if (!info.labels || !info.data || typeof info.acres === 'undefined') {
+    throw new Error('Response data missing required properties');
+  }
+  
+  console.log('Successfully fetched crop data, acres:', info.acres);
+  
+  // Create an array of {name, value} pairs for sorting
+  const cropPairs = info.labels.map((label, index) => {
+    return {
+      name: label,
+      value: info.data[index],
+      acres: info.data[index] * info.acres
+    };
+  });
+  
+  // Sort by value in descending order
+  cropPairs.sort((a, b) => b.value - a.value);
+  
+  // Create a crop data object with the top 3 crops, plus the complete distribution
+  const cropDataObject = {
+    crop1: cropPairs.length > 0 ? cropPairs[0].name : '',
+    crop_ac1: cropPairs.length > 0 ? cropPairs[0].acres.toFixed(2) : '',
+    crop2: cropPairs.length > 1 ? cropPairs[1].name : '',
+    crop_ac2: cropPairs.length > 1 ? cropPairs[1].acres.toFixed(2) : '',
+    crop3: cropPairs.length > 2 ? cropPairs[2].name : '',
+    crop_ac3: cropPairs.length > 2 ? cropPairs[2].acres.toFixed(2) : '',
+    crop_distribution: cropPairs.map(pair => ({
+      label: pair.name,
+      fraction: pair.value,
+      acres: parseFloat(pair.acres.toFixed(4))
+    }))
+  };
+  
+  // Tie the result to the property the request was issued for
+  const requestInfo = pendingCropRequests.get(requestId) || {};
+  const cropResult = {
+    acres: info.acres,
+    tabId: requestInfo.tabId === undefined ? null : requestInfo.tabId,
+    timestamp: requestInfo.timestamp || Date.now(),
+    geometry: requestInfo.geometry || null,
+    parcelId: requestInfo.parcelId || null,
+    cropData: cropDataObject
+  };
+  
+  // A backfill request was made for one known record
+  const outcome = requestInfo.backfillFor ? applyBackfilledCrops(requestInfo.backfillFor, cropDataObject) : correlateCropResult(cropResult);
+  if (outcome === 'unmatched' || outcome === 'low_confidence') {
+    if (outcome === 'unmatched') {
+      logEvent('info', 'crop', `No sale matches crop data for ${info.acres} acres yet, kept for later`, { tabId: cropResult.tabId, requestId: requestId, acres: info.acres });
+    }
+    // Store the crop data anyway - it might match a property we see later
+    cropDataStore[`${cropResult.timestamp}-${requestId}`] = cropResult;
+    pruneCropDataStore();
+  }
+  
+  // Save data to storage
+  saveDataToStorage();
+  
+  // Clean up stored request data
+  pendingCropRequests.delete(requestId);
+}
+
+// Helper function to pull the correlation details out of a cdl_stats request body
+// The geometry and parcel identifier keys vary, so the common spellings are checked
+function extractCropRequestContext(requestBody) {
+  const body = requestBody && typeof requestBody === 'object' ? requestBody : {};
+  
+  let geometry = body.geometry || body.geom || body.geojson || body.polygon ||
+    (body.feature && body.feature.geometry) || null;
+  if (typeof geometry === 'string') {
+    try {
+      geometry = JSON.parse(geometry);
+    } catch (e) {
+      geometry = null;
+    }
+  }
+  if (geometry && geometry.type === 'Feature') {
+    geometry = geometry.geometry;
+  }
+  
+  const parcelId = body.parcel_id || body.parcelId || body.property_id || body.propertyId ||
+    body.courthouse_comp_id || body.id || null;
+  const acres = parseFloat(body.acres);
+  
+  return {
+    acres: isNaN(acres) ? null : acres,
+    geometry: geometry && geometry.coordinates ? geometry : null,
+    parcelId: parcelId === null ? null : String(parcelId)
+  };
+}
+
+// Helper function to test whether a point lies inside a ring of [lng, lat] positions (ray casting)
+function pointInRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Helper function to test whether a point lies inside a GeoJSON Polygon or MultiPolygon
+// Returns null for other geometry types
+function pointInGeometry(lng, lat, geometry) {
+  const inPolygon = rings => pointInRing(lng, lat, rings[0]) &&
+    !rings.slice(1).some(hole => pointInRing(lng, lat, hole));
+  
+  if (geometry.type === 'Polygon') {
+    return inPolygon(geometry.coordinates);
+  }
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates.some(inPolygon);
+  }
+  return null;
+}
+
+// Helper function to collect the identifiers a property can be referred to by
+function getPropertyIdentifiers(item) {
+  const identifiers = new Set([String(item.id)]);
+  const data = rawPayloads[item.id] || {};
+  
+  [data.parcel_id, data.apn, item.Document_num].forEach(value => {
+    if (value) {
+      identifiers.add(String(value));
+    }
+  });
+  [data.parcel_ids, data.apns, data.document_numbers].forEach(values => {
+    if (Array.isArray(values)) {
+      values.forEach(value => identifiers.add(String(value)));
+    }
+  });
+  
+  return identifiers;
+}
+
+// Function to score how likely a crop result belongs to a property
+// Returns {confidence, method}, or null when the property is ruled out
+function scoreCropCandidate(cropResult, item) {
+  // 1. The request named the parcel
+  if (cropResult.parcelId && getPropertyIdentifiers(item).has(cropResult.parcelId)) {
+    return { confidence: 1, method: 'parcel_id' };
+  }
+  
+  // 2. The request carried the parcel geometry - the property centroid has to fall inside it
+  const lng = parseFloat(item.longitude);
+  const lat = parseFloat(item.latitude);
+  if (cropResult.geometry && isFinite(lng) && isFinite(lat)) {
+    const inside = pointInGeometry(lng, lat, cropResult.geometry);
+    if (inside === true) {
+      return { confidence: 0.95, method: 'geometry' };
+    }
+    if (inside === false) {
+      return null;
+    }
+  }
+  
+  // Everything below needs the acreage to agree
+  const propertyAcres = parseFloat(item.computed_acres);
+  if (isNaN(propertyAcres) || cropResult.acres === null ||
+      Math.abs(propertyAcres - cropResult.acres) >= CROP_ACRES_TOLERANCE) {
+    return null;
+  }
+  
+  // 3. Same tab, requested right around the time the property was captured
+  if (cropResult.tabId !== null && cropResult.tabId === item.tab_id &&
+      Math.abs(cropResult.timestamp - item.captured_at) <= CROP_MATCH_WINDOW) {
+    return { confidence: 0.8, method: 'tab_timing' };
+  }
+  
+  // 4. Acreage alone
+  return { confidence: 0.5, method: 'acreage' };
+}
+
+// Function to correlate one crop result with the captured properties
+// Applies it when exactly one property has the best score, flags the candidates when several tie
+// A lone candidate below CROP_MATCH_MIN_CONFIDENCE is only flagged, and the result stays stored for a better one
+// Returns 'matched', 'ambiguous', 'low_confidence' or 'unmatched'
+function correlateCropResult(cropResult) {
+  const candidates = [];
+  
+  // Properties that already have crops still compete, so a second parcel of the same size stays ambiguous
+  collectedData.forEach((item, index) => {
+    const score = scoreCropCandidate(cropResult, item);
+    if (score) {
+      candidates.push({ index: index, confidence: score.confidence, method: score.method });
+    }
+  });
+  
+  if (candidates.length === 0) {
+    return 'unmatched';
+  }
+  
+  const best = Math.max(...candidates.map(candidate => candidate.confidence));
+  const top = candidates.filter(candidate => candidate.confidence === best);
+  
+  if (top.length === 1) {
+    const match = top[0];
+    const item = collectedData[match.index];
+    
+    // Never replace a crop match with a weaker one
+    if (item.crop_match_status === 'matched' && parseFloat(item.crop_match_confidence) >= match.confidence) {
+      console.log(`Crop data for property ${item.id} already matched with equal or better confidence`);
+      return 'matched';
+    }
+    
+    // Acreage alone is a guess - a parcel of the same size captured later would compete for the result
+    if (match.confidence < CROP_MATCH_MIN_CONFIDENCE) {
+      if (item.crop_match_status !== 'matched') {
+        collectedData[match.index] = {
+          ...item,
+          crop_match_status: 'low_confidence'
+        };
+      }
+      logEvent('info', 'crop', `Crop data for ${cropResult.acres} acres only fits sale ${item.id} by ${match.method}, flagged as low confidence`, {
+        tabId: cropResult.tabId,
+        saleId: item.id,
+        method: match.method,
+        confidence: match.confidence
+      });
+      return 'low_confidence';
+    }
+    
+    logEvent('info', 'crop', `Crop data matched to sale ${item.id} by ${match.method} (confidence ${match.confidence})`, {
+      tabId: cropResult.tabId,
+      saleId: item.id,
+      method: match.method,
+      confidence: match.confidence
+    });
+    collectedData[match.index] = {
+      ...collectedData[match.index],
+      ...cropResult.cropData,
+      crop_match_confidence: match.confidence,
+      crop_match_method: match.method,
+      crop_match_status: 'matched'
+    };
+    clearCropRuleDeadline(item.id);
+    return 'matched';
+  }
+  
+  // Several properties fit equally well - flag them instead of guessing
+  const candidateIds = top.map(candidate => collectedData[candidate.index].id);
+  logEvent('warn', 'crop', `Crop data for ${cropResult.acres} acres fits ${candidateIds.length} sales, flagged as ambiguous`, {
+    tabId: cropResult.tabId,
+    candidateIds: candidateIds,
+    method: top[0].method,
+    confidence: best
+  });
+  top.forEach(candidate => {
+    if (collectedData[candidate.index].crop_match_status !== 'matched') {
+      collectedData[candidate.index] = {
+        ...collectedData[candidate.index],
+        crop_match_status: 'ambiguous'
+      };
+    }
+  });
+  
+  ambiguousCropMatches.push({
+    at: Date.now(),
+    acres: cropResult.acres,
+    method: top[0].method,
+    confidence: best,
+    candidateIds: candidateIds,
+    cropData: cropResult.cropData
+  });
+  if (ambiguousCropMatches.length > MAX_AMBIGUOUS_CROP_MATCHES) {
+    ambiguousCropMatches = ambiguousCropMatches.slice(-MAX_AMBIGUOUS_CROP_MATCHES);
+  }
+  
+  return 'ambiguous';
+}
+
+// Function to retry the correlation of stored crop results after a new property was captured
+// Only results the new property could belong to are correlated again - the others still fit nothing
+// Results that only reach a low-confidence candidate stay stored as well
+function resolveStoredCropResults(newItem) {
+  Object.keys(cropDataStore).forEach(key => {
+    if (!scoreCropCandidate(cropDataStore[key], newItem)) {
+      return;
+    }
+    const outcome = correlateCropResult(cropDataStore[key]);
+    if (outcome === 'matched' || outcome === 'ambiguous') {
+      delete cropDataStore[key];
+    }
+  });
+}
+
+// Function to keep the unmatched crop results bounded: expired ones go, then the oldest over the cap
+function pruneCropDataStore() {
+  const cutoff = Date.now() - STORED_CROP_RESULT_TTL;
+  const keys = Object.keys(cropDataStore)
+    .filter(key => {
+      if (cropDataStore[key].timestamp < cutoff) {
+        delete cropDataStore[key];
+        return false;
+      }
+      return true;
+    })
+    .sort((a, b) => cropDataStore[a].timestamp - cropDataStore[b].timestamp);
+  
+  keys.slice(0, Math.max(0, keys.length - MAX_STORED_CROP_RESULTS)).forEach(key => {
+    delete cropDataStore[key];
+  });
+}
+
+// Helper function to convert crop data saved by older versions, which was keyed by acreage only
+function migrateCropDataStore(store) {
+  const migrated = {};
+  Object.keys(store).forEach(key => {
+    const value = store[key];
+    migrated[key] = value && value.cropData ? value : {
+      acres: parseFloat(key),
+      tabId: null,
+      timestamp: Date.now(), // Unknown - the stored-result expiry counts from the migration
+      geometry: null,
+      parcelId: null,
+      cropData: value
+    };
+  });
+  return migrated;
+}
+
+// Helper function to read a dot-separated path (e.g. centroid.coordinates.0) from a payload
+function getValueAtPath(source, path) {
+  return path.split('.').reduce((value, key) => {
+    return value === null || value === undefined ? undefined : value[key];
+  }, source);
+}
+
+// Helper function to list every mapping in effect: built-in columns first, then user-added ones
+function getFieldMappings() {
+  return [...PROPERTY_FIELD_MAPPING, ...customFieldMappings];
+}
+
+// Function to project a raw courthouse-comps payload onto the flat record columns
+function projectPropertyItem(data) {
+  const item = {};
+  getFieldMappings().forEach(mapping => {
+    let value = '';
+    for (const path of mapping.paths) {
+      const candidate = getValueAtPath(data, path);
+      if (candidate) {
+        value = candidate;
+        break;
+      }
+    }
+    // Nested objects are kept as JSON text so every column stays flat
+    item[mapping.column] = value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+  });
+  return applyCountyLookup(item);
+}
+
+// Helper function to write a FIPS code as five digits (payloads sometimes drop the leading zero)
+function normalizeFips(value) {
+  const text = String(value === null || value === undefined ? '' : value).trim();
+  return /^\d{4}$/.test(text) ? '0' + text : text;
+}
+
+// Function to set a record's location columns from its coordinates
+// A missing County_fipscode is filled in from the location; a stated one is only checked against it
+function applyCountyLookup(item) {
+  if (!countyIndex) {
+    return item; // Boundaries haven't loaded yet; loadCountyBoundaries catches up
+  }
+  
+  // A FIPS filled in by an earlier lookup isn't one the payload stated
+  const statedFips = item.fips_check === 'filled' ? '' : normalizeFips(item.County_fipscode);
+  const lng = parseFloat(item.longitude);
+  const lat = parseFloat(item.latitude);
+  const hasCoordinates = isFinite(lng) && isFinite(lat) && !(lng === 0 && lat === 0);
+  const located = hasCoordinates ? findCountyAt(countyIndex, lng, lat) : null;
+  
+  let check;
+  if (!hasCoordinates) {
+    check = 'no_coordinates';
+  } else if (!located) {
+    check = 'outside';
+  } else if (!statedFips) {
+    check = 'filled';
+  } else {
+    check = statedFips === located.fips ? 'match' : 'mismatch';
+  }
+  
+  // Names describe the county the record is filed under
+  const county = check === 'filled' ? located : countyIndex.byFips[statedFips] || null;
+  item.County_fipscode = check === 'filled' ? located.fips : item.County_fipscode;
+  item.State_name = county ? county.stateName : '';
+  item.County_name = county ? county.name : '';
+  item.location_fips = located ? located.fips : '';
+  item.fips_check = check;
+  return item;
+}
+
+// Function to apply the county lookup to every record of the active session
+// Returns how many records changed
+function applyCountyLookupToAll() {
+  let changed = 0;
+  collectedData.forEach(item => {
+    const before = LOCATION_COLUMNS.concat('County_fipscode').map(column => item[column]).join('|');
+    applyCountyLookup(item);
+    if (LOCATION_COLUMNS.concat('County_fipscode').map(column => item[column]).join('|') !== before) {
+      changed++;
+    }
+  });
+  return changed;
+}
+
+// Function to load the bundled county boundaries and update the records loaded before them
+function loadCountyBoundaries() {
+  fetch(chrome.runtime.getURL('us-counties.json'))
+    .then(response => response.json())
+    .then(topology => {
+      countyIndex = createCountyIndex(topology);
+      const changed = applyCountyLookupToAll();
+      if (changed > 0) {
+        saveDataToStorage();
+      }
+      logEvent('info', 'county', `Loaded ${countyIndex.counties.length} county boundaries, updated ${changed} records`);
+    })
+    .catch(error => {
+      logEvent('error', 'county', `Could not load the county boundaries: ${error.message}`);
+    });
+}
+
+// Helper function to name a county: the target county registry first, then the bundled boundaries
+function getCountyName(fips) {
+  const target = targetCounties.find(county => county.fips === fips);
+  if (target) {
+    return target.name;
+  }
+  const county = countyIndex ? countyIndex.byFips[normalizeFips(fips)] : null;
+  return county ? `${county.name}, ${county.stateName}` : '';
+}
+
+// Function to recompute the mapped columns of every record that has a stored payload
+// Crop and capture columns are kept because they don't come from the payload
+function reprojectAllRecords() {
+  let reprojected = 0;
+  let withoutPayload = 0;
+  
+  collectedData = collectedData.map(item => {
+    const data = rawPayloads[item.id];
+    if (!data) {
+      withoutPayload++;
+      return item;
+    }
+    
+    const preservedFields = {};
+    PRESERVED_COLUMNS.forEach(column => {
+      preservedFields[column] = item[column] === undefined ? '' : item[column];
+    });
+    
+    reprojected++;
+    return { ...projectPropertyItem(data), ...preservedFields, id: item.id };
+  });
+  
+  saveDataToStorage();
+  console.log(`Re-derived ${reprojected} records from stored payloads, ${withoutPayload} records have no payload`);
+  return { reprojected: reprojected, withoutPayload: withoutPayload };
+}
+
+// Function to load the user-added field mappings from storage
+function loadFieldMappings() {
+  chrome.storage.local.get(["customFieldMappings"], function(result) {
+    if (Array.isArray(result.customFieldMappings)) {
+      customFieldMappings = result.customFieldMappings;
+    }
+  });
+}
+
+// Function to replace the user-added field mappings, save them and re-derive all records
+function saveFieldMappings(entries) {
+  const reserved = new Set([...PROPERTY_FIELD_MAPPING.map(mapping => mapping.column), ...PRESERVED_COLUMNS, ...LOCATION_COLUMNS]);
+  const seen = new Set();
+  
+  const mappings = entries.map(entry => {
+    const column = String(entry.column || '').trim();
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(column)) {
+      throw new Error(`Invalid column name "${column}" - use letters, digits and underscores`);
+    }
+    if (reserved.has(column) || seen.has(column)) {
+      throw new Error(`Column ${column} is already defined`);
+    }
+    seen.add(column);
+    
+    const paths = (Array.isArray(entry.paths) ? entry.paths : String(entry.paths || '').split(','))
+      .map(path => String(path).trim())
+      .filter(path => path);
+    if (paths.length === 0) {
+      throw new Error(`Column ${column} needs at least one payload path`);
+    }
+    
+    return { column: column, paths: paths };
+  });
+  
+  customFieldMappings = mappings;
+  chrome.storage.local.set({ customFieldMappings: customFieldMappings });
+  
+  return reprojectAllRecords();
+}
+
+// Helper function to list the dot paths found in stored payloads, to help with writing mappings
+function getPayloadPaths() {
+  const paths = new Set();
+  
+  function collect(value, prefix, depth) {
+    if (value === null || typeof value !== 'object' || depth > 3) {
+      if (prefix) {
+        paths.add(prefix);
+      }
+      return;
+    }
+    
+    // For arrays only the first element is described
+    const keys = Array.isArray(value) ? (value.length > 0 ? ['0'] : []) : Object.keys(value);
+    if (keys.length === 0 && prefix) {
+      paths.add(prefix);
+    }
+    keys.forEach(key => collect(value[key], prefix ? `${prefix}.${key}` : key, depth + 1));
+  }
+  
+  // A sample is enough - payloads share the same structure
+  Object.values(rawPayloads).slice(0, 50).forEach(data => collect(data, '', 0));
+  return Array.from(paths).sort();
+}
+
+// Function to load the filter rules and their counters from storage
+function loadFilterRules() {
+  chrome.storage.local.get(["filterRules", "filterStats"], function(result) {
+    if (result.filterRules) {
+      filterRules = { ...JSON.parse(JSON.stringify(DEFAULT_FILTER_RULES)), ...result.filterRules };
+    }
+    if (result.filterStats) {
+      filterStats = result.filterStats;
+    }
+  });
+}
+
+// Helper function to validate the rules coming from the settings page
+// Returns the cleaned rules, or throws an Error describing the problem
+function normalizeFilterRules(rules) {
+  const stages = ['off', 'capture', 'export'];
+  const cleaned = JSON.parse(JSON.stringify(DEFAULT_FILTER_RULES));
+  
+  Object.keys(cleaned).forEach(ruleId => {
+    const rule = rules[ruleId] || {};
+    cleaned[ruleId].stage = stages.includes(rule.stage) ? rule.stage : 'off';
+  });
+  
+  const dateRule = rules.saleDate || {};
+  ['from', 'to'].forEach(key => {
+    const value = String(dateRule[key] || '').trim();
+    if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      throw new Error(`Sale date ${key} must look like YYYY-MM-DD`);
+    }
+    cleaned.saleDate[key] = value;
+  });
+  
+  ['acreage', 'pricePerAcre'].forEach(ruleId => {
+    const rule = rules[ruleId] || {};
+    ['min', 'max'].forEach(key => {
+      const value = rule[key] === undefined || rule[key] === null ? '' : String(rule[key]).trim();
+      if (value && isNaN(parseFloat(value))) {
+        throw new Error(`${ruleId} ${key} must be a number`);
+      }
+      cleaned[ruleId][key] = value ? parseFloat(value) : '';
+    });
+  });
+  
+  const allowed = Array.isArray((rules.fips || {}).allowed) ? rules.fips.allowed : String((rules.fips || {}).allowed || '').split(',');
+  cleaned.fips.allowed = allowed.map(fips => String(fips).trim()).filter(fips => fips);
+  cleaned.fips.allowed.forEach(fips => {
+    if (!/^\d{5}$/.test(fips)) {
+      throw new Error(`Invalid FIPS code "${fips}" - expected 5 digits`);
+    }
+  });
+  if (cleaned.fips.stage !== 'off' && cleaned.fips.allowed.length === 0) {
+    throw new Error('The FIPS rule needs at least one allowed code');
+  }
+  
+  return cleaned;
+}
+
+// Function to replace the filter rules and save them to storage
+function saveFilterRules(rules) {
+  filterRules = normalizeFilterRules(rules);
+  chrome.storage.local.set({ filterRules: filterRules });
+  return filterRules;
+}
+
+// Helper function to check whether a value lies within optional numeric bounds
+function isWithinBounds(value, min, max) {
+  const number = parseFloat(value);
+  if (!isFinite(number)) {
+    return false;
+  }
+  return (min === '' || number >= min) && (max === '' || number <= max);
+}
+
+// Function to list the rules of the given stage that exclude a record
+// Records missing the value a rule checks are excluded by that rule
+function getFailedFilterRules(item, stage) {
+  const failed = [];
+  
+  if (filterRules.saleDate.stage === stage) {
+    const match = String(item.Sales_date || '').match(/^\d{4}-\d{2}-\d{2}/);
+    const date = match ? match[0] : '';
+    if (!date || (filterRules.saleDate.from && date < filterRules.saleDate.from) ||
+        (filterRules.saleDate.to && date > filterRules.saleDate.to)) {
+      failed.push('saleDate');
+    }
+  }
+  
+  if (filterRules.acreage.stage === stage &&
+      !isWithinBounds(item.Sold_acre, filterRules.acreage.min, filterRules.acreage.max)) {
+    failed.push('acreage');
+  }
+  
+  if (filterRules.pricePerAcre.stage === stage &&
+      !isWithinBounds(item.price_per_acre, filterRules.pricePerAcre.min, filterRules.pricePerAcre.max)) {
+    failed.push('pricePerAcre');
+  }
+  
+  if (filterRules.fips.stage === stage && !filterRules.fips.allowed.includes(item.County_fipscode)) {
+    failed.push('fips');
+  }
+  
+  if (filterRules.crops.stage === stage && getCropDistribution(item).length === 0) {
+    failed.push('crops');
+  }
+  
+  return failed;
+}
+
+// Helper function to count a sale excluded at capture time, once per sale
+function countCaptureExclusion(id, failedRules) {
+  if (captureFilteredIds.has(id)) {
+    return;
+  }
+  captureFilteredIds.add(id);
+  
+  failedRules.forEach(ruleId => {
+    filterStats.capture[ruleId] = (filterStats.capture[ruleId] || 0) + 1;
+  });
+  chrome.storage.local.set({ filterStats: filterStats });
+}
+
+// Function to set the alarm for the earliest crop data wait to end
+// An alarm wakes a suspended worker, which a plain timer would not
+function scheduleCropRuleCheck() {
+  const deadlines = Object.values(cropRuleDeadlines);
+  if (deadlines.length === 0) {
+    chrome.alarms.clear(CROP_RULE_ALARM);
+    return;
+  }
+  chrome.alarms.create(CROP_RULE_ALARM, { when: Math.max(Math.min(...deadlines), Date.now() + 1000) });
+}
+
+// Helper function to end a sale's crop data wait once its crop data arrived
+function clearCropRuleDeadline(id) {
+  if (cropRuleDeadlines[id] !== undefined) {
+    delete cropRuleDeadlines[id];
+    scheduleCropRuleCheck();
+  }
+}
+
+// Function to drop the sales whose crop data wait is over without crop data arriving
+// Only sales captured while the crop rule was set to "capture" wait; stored records are never purged retroactively
+function checkCropRuleDeadlines() {
+  const now = Date.now();
+  const expired = Object.keys(cropRuleDeadlines).filter(id => cropRuleDeadlines[id] <= now);
+  if (expired.length === 0) {
+    scheduleCropRuleCheck();
+    return;
+  }
+  
+  const dropped = new Set();
+  expired.forEach(id => {
+    delete cropRuleDeadlines[id];
+    const item = collectedData.find(entry => String(entry.id) === id);
+    if (item && filterRules.crops.stage === 'capture' && getCropDistribution(item).length === 0) {
+      dropped.add(id);
+      collectedIds.delete(id);
+      delete rawPayloads[id];
+      rawPayloadsChanged = true;
+      countCaptureExclusion(id, ['crops']);
+    }
+  });
+  
+  if (dropped.size > 0) {
+    collectedData = collectedData.filter(item => !dropped.has(String(item.id)));
+    chrome.action.setBadgeText({text: collectedData.length > 0 ? collectedData.length.toString() : ""});
+    logEvent('info', 'filter', `Crop rule dropped ${dropped.size} sales whose crop data never arrived`, { saleIds: Array.from(dropped) });
+  }
+  saveDataToStorage();
+  scheduleCropRuleCheck();
+}
+
+// Function to apply the export-time filter rules to a list of records
+// Returns the records kept and how many each rule left out
+function filterExportRecords(data) {
+  const counts = {};
+  let excluded = 0;
+  
+  // Records failing validation are counted like a rule, under 'validation'
+  const validation = validationSettings.exclude !== 'none' ? validateRecords(data) : null;
+  
+  const records = data.filter(item => {
+    const failedRules = getFailedFilterRules(item, 'export');
+    if (validation && isExcludedByValidation(validation.issues[item.id])) {
+      failedRules.push('validation');
+    }
+    failedRules.forEach(ruleId => {
+      counts[ruleId] = (counts[ruleId] || 0) + 1;
+    });
+    if (failedRules.length > 0) {
+      excluded++;
+      return false;
+    }
+    return true;
+  });
+  
+  return { records: records, counts: counts, excluded: excluded };
+}
+
+// Helper function to keep the per-rule counts of the latest export for the popup
+function saveExportFilterStats(counts, excluded) {
+  filterStats.export = counts;
+  filterStats.exportTotal = excluded;
+  filterStats.exportedAt = Date.now();
+  chrome.storage.local.set({ filterStats: filterStats });
+}
+
+// Function to get the records an export of the active session should contain
+function getExportRecords() {
+  const result = filterExportRecords(collectedData);
+  saveExportFilterStats(result.counts, result.excluded);
+  return result.records;
+}
+
+// Function to load the validation settings from storage
+function loadValidationSettings() {
+  chrome.storage.local.get(["validationSettings"], function(result) {
+    if (result.validationSettings) {
+      validationSettings = { ...validationSettings, ...result.validationSettings };
+    }
+  });
+}
+
+// Function to save the validation settings coming from the explorer page
+function saveValidationSettings(settings) {
+  const exclude = settings && settings.exclude;
+  if (!['none', 'errors', 'flagged'].includes(exclude)) {
+    throw new Error(`Unknown validation exclusion: ${exclude}`);
+  }
+  validationSettings = { exclude: exclude };
+  chrome.storage.local.set({ validationSettings: validationSettings });
+  return validationSettings;
+}
+
+// Helper function to check whether a record's problems keep it out of exports under the current settings
+function isExcludedByValidation(issues) {
+  if (!issues || issues.length === 0) {
+    return false;
+  }
+  return validationSettings.exclude === 'flagged' ||
+    (validationSettings.exclude === 'errors' && issues.some(issue => issue.severity === 'error'));
+}
+
+// Helper function to check whether a value is missing from a record
+function isBlankValue(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+// Function to check every record for data-quality problems
+// Returns {issues: {recordId: [{code, severity, field, message}]}, counts: {code: records}}
+function validateRecords(records) {
+  // County norms for the outlier check: median price per acre of each county
+  const pricesByCounty = {};
+  records.forEach(item => {
+    const price = parseFloat(item.price_per_acre);
+    if (isFinite(price) && price > 0) {
+      const fips = item.County_fipscode || '';
+      (pricesByCounty[fips] = pricesByCounty[fips] || []).push(price);
+    }
+  });
+  const countyMedians = {};
+  Object.keys(pricesByCounty).forEach(fips => {
+    if (pricesByCounty[fips].length >= VALIDATION_MIN_COUNTY_RECORDS) {
+      countyMedians[fips] = median(pricesByCounty[fips]);
+    }
+  });
+  
+  const issues = {};
+  const counts = {};
+  records.forEach(item => {
+    const found = [];
+    const flag = (code, severity, field, message) => found.push({ code: code, severity: severity, field: field, message: message });
+    
+    // Missing required fields
+    VALIDATION_REQUIRED_FIELDS.forEach(field => {
+      if (isBlankValue(item[field])) {
+        flag('missing_field', 'error', field, `${field} is empty`);
+      }
+    });
+    
+    // Coordinates
+    const lng = parseFloat(item.longitude);
+    const lat = parseFloat(item.latitude);
+    if (isBlankValue(item.longitude) || isBlankValue(item.latitude)) {
+      flag('missing_coordinates', 'error', 'longitude', 'No coordinates');
+    } else if (!isFinite(lng) || !isFinite(lat) || Math.abs(lng) > 180 || Math.abs(lat) > 90) {
+      flag('invalid_value', 'error', 'longitude', `Coordinates ${item.longitude}, ${item.latitude} are impossible`);
+    }
+    
+    // Stated county vs the county the coordinates fall in, from the bundled boundaries
+    if (item.fips_check === 'mismatch') {
+      flag('fips_mismatch', 'warning', 'County_fipscode', `County_fipscode ${item.County_fipscode} but the location is in ${item.location_fips} ${getCountyName(item.location_fips)}`);
+    }
+    
+    // Impossible values
+    ['Sales_amount', 'Sold_acre', 'price_per_acre'].forEach(field => {
+      if (isBlankValue(item[field])) {
+        return;
+      }
+      const value = parseFloat(item[field]);
+      if (!isFinite(value) || value <= 0) {
+        flag('invalid_value', 'error', field, `${field} is ${item[field]}`);
+      }
+    });
+    if (!isBlankValue(item.Sales_date)) {
+      const saleDate = new Date(item.Sales_date);
+      if (isNaN(saleDate.getTime()) || saleDate.getTime() > Date.now() || saleDate.getFullYear() < 1900) {
+        flag('invalid_value', 'error', 'Sales_date', `Sales_date ${item.Sales_date} is not a possible sale date`);
+      }
+    }
+    
+    // Price per acre far off the county norm
+    const price = parseFloat(item.price_per_acre);
+    const countyMedian = countyMedians[item.County_fipscode || ''];
+    if (countyMedian && isFinite(price) && price > 0 &&
+        (price > countyMedian * VALIDATION_OUTLIER_FACTOR || price < countyMedian / VALIDATION_OUTLIER_FACTOR)) {
+      flag('price_outlier', 'warning', 'price_per_acre', `Price per acre ${Math.round(price)} vs county median ${Math.round(countyMedian)}`);
+    }
+    
+    // Crop data
+    const distribution = Array.isArray(item.crop_distribution) ? item.crop_distribution : [];
+    if (isBlankValue(item.crop1)) {
+      flag('missing_crops', 'warning', 'crop1', 'No crop data');
+    } else if (distribution.length > 0) {
+      const cropAcres = distribution.reduce((sum, entry) => sum + (parseFloat(entry.acres) || 0), 0);
+      const soldAcres = parseFloat(item.Sold_acre);
+      if (isFinite(soldAcres) && soldAcres > 0 && Math.abs(cropAcres - soldAcres) / soldAcres > VALIDATION_CROP_ACRES_RATIO) {
+        flag('crop_acres_mismatch', 'warning', 'crop_distribution', `Crop acres add up to ${cropAcres.toFixed(2)}, Sold_acre is ${soldAcres}`);
+      }
+    }
+    
+    if (found.length > 0) {
+      issues[item.id] = found;
+      new Set(found.map(issue => issue.code)).forEach(code => {
+        counts[code] = (counts[code] || 0) + 1;
+      });
+    }
+  });
+  
+  return { issues: issues, counts: counts };
+}
+
+// Function to build the validation report for the popup and the explorer page
+function getValidationReport() {
+  const validation = validateRecords(collectedData);
+  const flaggedIds = Object.keys(validation.issues);
+  return {
+    total: collectedData.length,
+    flagged: flaggedIds.length,
+    withErrors: flaggedIds.filter(id => validation.issues[id].some(issue => issue.severity === 'error')).length,
+    excluded: flaggedIds.filter(id => isExcludedByValidation(validation.issues[id])).length,
+    counts: validation.counts,
+    issues: validation.issues,
+    settings: validationSettings
+  };
+}
+
+// Helper function to get the acreage band a record falls in, e.g. "40-80" or "640+"
+function getAcreageBand(acres) {
+  acres = parseFloat(acres);
+  if (!isFinite(acres) || acres < 0) {
+    return '';
+  }
+  let index = ACREAGE_BANDS.length - 1;
+  while (acres < ACREAGE_BANDS[index]) {
+    index--;
+  }
+  return index === ACREAGE_BANDS.length - 1 ?
+    `${ACREAGE_BANDS[index]}+` :
+    `${ACREAGE_BANDS[index]}-${ACREAGE_BANDS[index + 1]}`;
+}
+
+// Helper function to get the value a record is grouped under, '' when it has none
+function getMarketStatsKey(item, group) {
+  const date = String(item.Sales_date || '').match(/^(\d{4})-(\d{2})-\d{2}/);
+  if (group === 'county') {
+    return item.County_fipscode || '';
+  } else if (group === 'month') {
+    return date ? `${date[1]}-${date[2]}` : '';
+  } else if (group === 'quarter') {
+    return date ? `${date[1]}-Q${Math.ceil(parseInt(date[2], 10) / 3)}` : '';
+  } else if (group === 'acreage') {
+    return getAcreageBand(item.Sold_acre);
+  }
+  return item.crop1 || '';
+}
+
+// Helper function to summarize a list of prices per acre
+function summarizePrices(prices) {
+  const sorted = prices.slice().sort((a, b) => a - b);
+  const summary = {
+    count: sorted.length,
+    mean: sorted.length > 0 ? sorted.reduce((sum, price) => sum + price, 0) / sorted.length : null,
+    median: median(sorted),
+    min: sorted.length > 0 ? sorted[0] : null,
+    max: sorted.length > 0 ? sorted[sorted.length - 1] : null
+  };
+  MARKET_STATS_PERCENTILES.forEach(p => {
+    summary[`p${p}`] = percentile(sorted, p);
+  });
+  return summary;
+}
+
+// Function to compute price per acre statistics over the collected sales
+// filters: {fips, crop, acreage, months (sold within the last N months), from, to (YYYY-MM-DD)}
+// Records without a positive price_per_acre are counted but left out of the statistics
+function getMarketStats(filters) {
+  filters = filters || {};
+  let from = filters.from || '';
+  if (filters.months) {
+    const since = new Date();
+    since.setMonth(since.getMonth() - parseInt(filters.months, 10));
+    const sinceDate = since.toISOString().slice(0, 10);
+    from = from > sinceDate ? from : sinceDate;
+  }
+  
+  const matched = collectedData.filter(item => {
+    if (filters.fips && (item.County_fipscode || '') !== filters.fips) {
+      return false;
+    }
+    if (filters.crop && (item.crop1 || '') !== filters.crop) {
+      return false;
+    }
+    if (filters.acreage && getAcreageBand(item.Sold_acre) !== filters.acreage) {
+      return false;
+    }
+    if (from || filters.to) {
+      const date = String(item.Sales_date || '').slice(0, 10);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || (from && date < from) || (filters.to && date > filters.to)) {
+        return false;
+      }
+    }
+    return true;
+  });
+  
+  const priced = matched
+    .map(item => ({ item: item, price: parseFloat(item.price_per_acre) }))
+    .filter(entry => isFinite(entry.price) && entry.price > 0);
+  
+  const groups = {};
+  MARKET_STATS_GROUPS.forEach(group => {
+    const pricesByKey = {};
+    priced.forEach(entry => {
+      const key = getMarketStatsKey(entry.item, group);
+      (pricesByKey[key] = pricesByKey[key] || []).push(entry.price);
+    });
+    // Acreage bands sort by their lower bound, everything else by its text
+    const keys = group === 'acreage' ?
+      Object.keys(pricesByKey).sort((a, b) => (a === '' ? -1 : parseFloat(a)) - (b === '' ? -1 : parseFloat(b))) :
+      Object.keys(pricesByKey).sort();
+    groups[group] = keys.map(key => ({ key: key, ...summarizePrices(pricesByKey[key]) }));
+  });
+  
+  // Choices for the filter selects, from every record rather than the matched ones
+  const fipsCodes = Array.from(new Set(collectedData.map(item => item.County_fipscode || ''))).filter(Boolean).sort();
+  
+  return {
+    total: collectedData.length,
+    matched: matched.length,
+    unpriced: matched.length - priced.length,
+    from: from,
+    overall: summarizePrices(priced.map(entry => entry.price)),
+    groups: groups,
+    options: {
+      counties: fipsCodes.map(fips => ({ fips: fips, name: getCountyName(fips) })),
+      crops: Array.from(new Set(collectedData.map(item => item.crop1 || ''))).filter(Boolean).sort(),
+      acreageBands: ACREAGE_BANDS.map(band => getAcreageBand(band))
+    }
+  };
+}
+
+// Helper function to get the storage key holding a session's data
+function getSessionStorageKey(sessionId) {
+  return `session_${sessionId}`;
+}
+
+// Helper function to get the storage key holding a session's raw payloads, the bulk of its data
+function getPayloadsStorageKey(sessionId) {
+  return `payloads_${sessionId}`;
+}
+
+// Function to save all data of the active session to storage
+// The write is batched with the saves of the next SESSION_SAVE_DELAY ms
+function saveDataToStorage() {
+  if (!activeSessionId || sessionDataLoading) {
+    return; // The session's data is still loading - finishSessionLoad saves once it has merged
+  }
+  if (sessionSaveTimer) {
+    return;
+  }
+  sessionSaveTimer = setTimeout(writeSessionData, SESSION_SAVE_DELAY);
+}
+
+// Function to write the active session to storage right away, including a batched save still waiting
+// The raw payloads are only written when they changed
+function writeSessionData() {
+  clearTimeout(sessionSaveTimer);
+  sessionSaveTimer = null;
+  if (!activeSessionId || sessionDataLoading) {
+    return;
+  }
+  
+  const values = {
+    [getSessionStorageKey(activeSessionId)]: {
+      collectedData: collectedData,
+      collectedIds: Array.from(collectedIds),
+      cropDataStore: cropDataStore,
+      ambiguousCropMatches: ambiguousCropMatches,
+      exportHistory: exportHistory,
+      importedIds: Array.from(importedIds),
+      importedDocumentNumbers: Array.from(importedDocumentNumbers),
+      markerRegistry: markerRegistry,
+      cropRuleDeadlines: cropRuleDeadlines
+    }
+  };
+  if (rawPayloadsChanged) {
+    values[getPayloadsStorageKey(activeSessionId)] = rawPayloads;
+    rawPayloadsChanged = false;
+  }
+  
+  chrome.storage.local.set(values, function() {
+    console.log('All data saved to storage. Properties:', collectedData.length);
+  });
+}
+
+// Function to read a session's data and payloads from storage
+// Sessions saved before the payloads had their own key still carry them in the session data
+function readSessionData(sessionId, callback) {
+  const key = getSessionStorageKey(sessionId);
+  const payloadsKey = getPayloadsStorageKey(sessionId);
+  chrome.storage.local.get([key, payloadsKey], function(result) {
+    const data = result[key] || {};
+    callback({ ...data, rawPayloads: result[payloadsKey] || data.rawPayloads || {} }, !result[payloadsKey] && !!data.rawPayloads);
+  });
+}
+
+// Helper function to replace the in-memory data with a session's stored data
+function applySessionData(data) {
+  data = data || {};
+  collectedData = (data.collectedData || []).map(item => ({ ...item, id: String(item.id) }));
+  collectedIds = new Set((data.collectedIds || []).map(String));
+  cropDataStore = data.cropDataStore ? migrateCropDataStore(data.cropDataStore) : {};
+  pruneCropDataStore();
+  ambiguousCropMatches = data.ambiguousCropMatches || [];
+  rawPayloads = data.rawPayloads || {};
+  rawPayloadsChanged = false;
+  exportHistory = data.exportHistory || [];
+  importedIds = new Set((data.importedIds || []).map(String));
+  importedDocumentNumbers = new Set(data.importedDocumentNumbers || []);
+  markerRegistry = data.markerRegistry || {};
+  cropRuleDeadlines = data.cropRuleDeadlines || {};
+  applyCountyLookupToAll();
+  
+  // Waits that ended while the worker was gone are settled now
+  checkCropRuleDeadlines();
+  
+  chrome.action.setBadgeText({text: collectedData.length > 0 ? collectedData.length.toString() : ""});
+  chrome.action.setBadgeBackgroundColor({color: '#4CAF50'});
+}
+
+// Helper function to hold saves while a session's data is read from storage
+function beginSessionLoad() {
+  sessionDataLoading = true;
+  sessionLoadBaseIds = new Set(collectedData.map(item => item.id));
+}
+
+// Function to make a session's stored data the in-memory data once it has been read
+// Sales captured while it was being read are kept and belong to that session
+// payloadsToMove: the payloads came from the session data and go to their own key on this save
+function finishSessionLoad(sessionId, data, payloadsToMove) {
+  const capturedMeanwhile = collectedData.filter(item => !sessionLoadBaseIds.has(item.id));
+  const payloads = rawPayloads;
+  const deadlines = cropRuleDeadlines;
+  
+  activeSessionId = sessionId;
+  applySessionData(data);
+  
+  capturedMeanwhile.forEach(item => {
+    if (collectedIds.has(item.id)) {
+      return;
+    }
+    collectedData.push(item);
+    collectedIds.add(item.id);
+    if (payloads[item.id]) {
+      rawPayloads[item.id] = payloads[item.id];
+      rawPayloadsChanged = true;
+    }
+    if (deadlines[item.id]) {
+      cropRuleDeadlines[item.id] = deadlines[item.id];
+    }
+  });
+  if (capturedMeanwhile.length > 0) {
+    chrome.action.setBadgeText({text: collectedData.length.toString()});
+    logEvent('info', 'session', `Kept ${capturedMeanwhile.length} sales captured while the session was loading`);
+  }
+  
+  sessionDataLoading = false;
+  sessionLoadBaseIds = new Set();
+  if (payloadsToMove) {
+    rawPayloadsChanged = true;
+  }
+  saveSessions();
+  writeSessionData();
+}
+
+// Helper function to refuse session changes while one is still loading
+function ensureSessionLoaded() {
+  if (sessionDataLoading) {
+    throw new Error('The session is still loading - try again in a moment');
+  }
+}
+
+// Function to load the sessions and the active session's data from storage
+// Data saved before sessions existed becomes the "Default" session
+function loadSavedData() {
+  // onInstalled and worker startup both ask for this; a second migration would create a second session
+  if (savedDataLoadStarted) {
+    return;
+  }
+  savedDataLoadStarted = true;
+  
+  const legacyKeys = ["collectedData", "collectedIds", "cropDataStore", "ambiguousCropMatches", "rawPayloads"];
+  chrome.storage.local.get(["sessions", "activeSessionId", ...legacyKeys], function(result) {
+    if (Array.isArray(result.sessions) && result.sessions.length > 0) {
+      sessions = result.sessions;
+      const sessionId = sessions.some(session => session.id === result.activeSessionId) ?
+        result.activeSessionId : sessions[0].id;
+      
+      readSessionData(sessionId, function(data, payloadsToMove) {
+        finishSessionLoad(sessionId, data, payloadsToMove);
+        console.log('Loaded data from storage. Properties:', collectedData.length);
+      });
+      return;
+    }
+    
+    // First start with sessions - move any existing data into the default session
+    sessions = [{ id: `session-${Date.now()}`, name: DEFAULT_SESSION_NAME, createdAt: Date.now(), archived: false }];
+    finishSessionLoad(sessions[0].id, result, true);
+    chrome.storage.local.remove(legacyKeys);
+    console.log('Moved existing data into the default session. Properties:', collectedData.length);
+  });
+}
+
+// Function to save the session list and the active session id
+function saveSessions() {
+  chrome.storage.local.set({ sessions: sessions, activeSessionId: activeSessionId });
+}
+
+// Helper function to find a session or throw
+function getSession(sessionId) {
+  const session = sessions.find(entry => entry.id === sessionId);
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  return session;
+}
+
+// Helper function to validate a session name
+// Returns the trimmed name, or throws an Error describing the problem
+function normalizeSessionName(name, sessionId) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) {
+    throw new Error('Session name is required');
+  }
+  if (sessions.some(session => session.id !== sessionId && session.name.toLowerCase() === trimmed.toLowerCase())) {
+    throw new Error(`A session named "${trimmed}" already exists`);
+  }
+  return trimmed;
+}
+
+// Helper function to describe the sessions for the popup
+function getSessionsSummary() {
+  return {
+    sessions: sessions,
+    activeSessionId: activeSessionId,
+    count: collectedData.length,
+    exportHistory: exportHistory
+  };
+}
+
+// Function to make another session active
+// The current session is saved first; the callback runs once the new session's data is loaded
+// Sales captured while it loads go into the new session
+function switchSession(sessionId, callback) {
+  const session = getSession(sessionId);
+  ensureSessionLoaded();
+  
+  if (sessionId === activeSessionId) {
+    callback();
+    return;
+  }
+  
+  writeSessionData();
+  beginSessionLoad();
+  
+  // Switching to an archived session brings it back
+  session.archived = false;
+  
+  readSessionData(sessionId, function(data, payloadsToMove) {
+    dropPendingCropWork();
+    finishSessionLoad(sessionId, data, payloadsToMove);
+    logEvent('info', 'session', `Switched to session "${session.name}" (${collectedData.length} records)`);
+    callback();
+  });
+}
+
+// Function to create a new, empty session and make it active
+function createSession(name, callback) {
+  ensureSessionLoaded();
+  const session = {
+    id: `session-${Date.now()}`,
+    name: normalizeSessionName(name, null),
+    createdAt: Date.now(),
+    archived: false
+  };
+  
+  writeSessionData();
+  sessions.push(session);
+  activeSessionId = session.id;
+  dropPendingCropWork();
+  applySessionData(null);
+  saveSessions();
+  writeSessionData();
+  logEvent('info', 'session', `Created session "${session.name}"`);
+  callback();
+}
+
+// Function to rename a session
+function renameSession(sessionId, name) {
+  const session = getSession(sessionId);
+  session.name = normalizeSessionName(name, sessionId);
+  saveSessions();
+}
+
+// Function to archive or unarchive a session
+// The active session can't be archived - the harvest would keep writing into it
+function archiveSession(sessionId, archived) {
+  const session = getSession(sessionId);
+  if (archived && sessionId === activeSessionId) {
+    throw new Error('Switch to another session before archiving this one');
+  }
+  session.archived = !!archived;
+  saveSessions();
+}
+
+// Function to delete a session and its data
+function deleteSession(sessionId) {
+  getSession(sessionId);
+  if (sessionId === activeSessionId) {
+    throw new Error('Switch to another session before deleting this one');
+  }
+  
+  sessions = sessions.filter(session => session.id !== sessionId);
+  chrome.storage.local.remove([getSessionStorageKey(sessionId), getPayloadsStorageKey(sessionId)]);
+  saveSessions();
+}
+
+// Function to note an export in the active session's history
+function recordExport(filename, mimeType, recordCount) {
+  exportHistory.push({
+    filename: filename,
+    mimeType: mimeType,
+    records: recordCount,
+    exportedAt: Date.now()
+  });
+  if (exportHistory.length > MAX_EXPORT_HISTORY) {
+    exportHistory = exportHistory.slice(-MAX_EXPORT_HISTORY);
+  }
+  saveDataToStorage();
+  logEvent('info', 'export', `Exported ${recordCount} records to ${filename}`, { filename: filename, records: recordCount });
+}
+
+// Function to load the target county registry from storage
+function loadTargetCounties() {
+  chrome.storage.local.get(["targetCounties"], function(result) {
+    if (Array.isArray(result.targetCounties)) {
+      targetCounties = result.targetCounties;
+      console.log('Loaded target counties from storage:', targetCounties.length);
+    }
+  });
+}
+
+// Helper function to validate a county entry coming from the settings page
+// Returns the cleaned entry, or throws an Error describing the problem
+function normalizeCountyEntry(entry) {
+  const fips = String(entry.fips || '').trim();
+  if (!/^\d{5}$/.test(fips)) {
+    throw new Error(`Invalid FIPS code "${fips}" - expected 5 digits`);
+  }
+
+  const name = String(entry.name || '').trim();
+  if (!name) {
+    throw new Error(`County ${fips} is missing a name`);
+  }
+
+  // Bounding box is [west, south, east, north] in degrees
+  let bbox = null;
+  if (entry.bbox !== null && entry.bbox !== undefined) {
+    bbox = Array.isArray(entry.bbox) && entry.bbox.length === 4 ? entry.bbox.map(value => parseFloat(value)) : null;
+    if (!bbox || bbox.some(isNaN) || bbox[0] >= bbox[2] || bbox[1] >= bbox[3]) {
+      throw new Error(`County ${name} has an invalid bounding box`);
+    }
+  }
+
+  let lng = parseFloat(entry.lng);
+  let lat = parseFloat(entry.lat);
+  if (isNaN(lng) || isNaN(lat)) {
+    if (!bbox) {
+      throw new Error(`County ${name} needs either a center or a bounding box`);
+    }
+    // Fall back to the middle of the bounding box
+    lng = (bbox[0] + bbox[2]) / 2;
+    lat = (bbox[1] + bbox[3]) / 2;
+  }
+
+  const zoom = parseFloat(entry.zoom);
+
+  return {
+    fips: fips,
+    name: name,
+    lng: lng,
+    lat: lat,
+    zoom: isNaN(zoom) ? 10 : zoom,
+    bbox: bbox,
+    enabled: entry.enabled !== false
+  };
+}
+
+// Function to replace the target county registry and save it to storage
+function saveTargetCounties(entries) {
+  const counties = entries.map(normalizeCountyEntry);
+
+  const seen = new Set();
+  counties.forEach(county => {
+    if (seen.has(county.fips)) {
+      throw new Error(`County ${county.fips} is listed more than once`);
+    }
+    seen.add(county.fips);
+  });
+
+  targetCounties = counties;
+  chrome.storage.local.set({ targetCounties: targetCounties }, function() {
+    console.log('Target counties saved to storage:', targetCounties.length);
+  });
+
+  return targetCounties;
+}
+
+// Helper function to get the counties the auto-click rotation should visit
+function getEnabledTargetCounties() {
+  return targetCounties.filter(county => county.enabled);
+}
+
+// Function to load the export profiles from storage
+function loadExportProfiles() {
+  chrome.storage.local.get(["exportProfiles", "activeExportProfile"], function(result) {
+    if (Array.isArray(result.exportProfiles)) {
+      exportProfiles = result.exportProfiles;
+    }
+    if (result.activeExportProfile) {
+      activeExportProfile = result.activeExportProfile;
+    }
+  });
+}
+
+// Helper function to build the built-in profile that matches the original CSV layout
+function getDefaultExportProfile() {
+  return {
+    name: DEFAULT_EXPORT_PROFILE_NAME,
+    builtIn: true,
+    columns: DEFAULT_CSV_HEADERS.map(field => ({ field: field, label: field, dateFormat: '', decimals: null }))
+  };
+}
+
+// Helper function to build the built-in profile that adds the county lookup's names to the original layout
+function getLocationExportProfile() {
+  const fields = [...DEFAULT_CSV_HEADERS];
+  fields.splice(fields.indexOf('County_fipscode') + 1, 0, 'State_name', 'County_name');
+  return {
+    name: LOCATION_EXPORT_PROFILE_NAME,
+    builtIn: true,
+    columns: fields.map(field => ({ field: field, label: field, dateFormat: '', decimals: null }))
+  };
+}
+
+// Helper function to list every export profile, built-in ones first
+function getExportProfiles() {
+  return [getDefaultExportProfile(), getLocationExportProfile(), ...exportProfiles];
+}
+
+// Helper function to find a profile by name, falling back to the built-in one
+function getExportProfile(name) {
+  return getExportProfiles().find(profile => profile.name === name) || getDefaultExportProfile();
+}
+
+// Helper function to list the fields a profile can export: known columns plus anything stored on records
+function getExportFields() {
+  const fields = new Set(['id', ...DEFAULT_CSV_HEADERS, 'computed_acres']);
+  collectedData.forEach(item => {
+    Object.keys(item).forEach(key => fields.add(key));
+  });
+  return Array.from(fields);
+}
+
+// Helper function to validate a profile coming from the settings page
+// Returns the cleaned profile, or throws an Error describing the problem
+function normalizeExportProfile(profile) {
+  const name = String(profile.name || '').trim();
+  if (!name) {
+    throw new Error('Export profile needs a name');
+  }
+  if (name === DEFAULT_EXPORT_PROFILE_NAME || name === LOCATION_EXPORT_PROFILE_NAME) {
+    throw new Error(`"${name}" is a built-in profile - pick another name`);
+  }
+  
+  const columns = (profile.columns || []).map(column => {
+    const field = String(column.field || '').trim();
+    if (!field) {
+      throw new Error(`Profile ${name} has a column without a field`);
+    }
+    
+    let decimals = null;
+    if (column.decimals !== null && column.decimals !== undefined && column.decimals !== '') {
+      decimals = parseInt(column.decimals, 10);
+      if (isNaN(decimals) || decimals < 0 || decimals > 10) {
+        throw new Error(`Column ${field} in profile ${name} needs 0-10 decimal places`);
+      }
+    }
+    
+    return {
+      field: field,
+      label: String(column.label || '').trim() || field,
+      dateFormat: String(column.dateFormat || '').trim(),
+      decimals: decimals
+    };
+  });
+  
+  if (columns.length === 0) {
+    throw new Error(`Profile ${name} has no columns`);
+  }
+  
+  return { name: name, columns: columns };
+}
+
+// Function to create or replace a profile and save the profiles to storage
+// previousName lets the settings page rename a profile
+function saveExportProfile(profile, previousName) {
+  const cleaned = normalizeExportProfile(profile);
+  
+  const others = exportProfiles.filter(entry => entry.name !== previousName && entry.name !== cleaned.name);
+  if (previousName && previousName !== cleaned.name && exportProfiles.some(entry => entry.name === cleaned.name)) {
+    throw new Error(`A profile named ${cleaned.name} already exists`);
+  }
+  
+  exportProfiles = [...others, cleaned];
+  if (previousName && activeExportProfile === previousName) {
+    activeExportProfile = cleaned.name;
+  }
+  
+  chrome.storage.local.set({ exportProfiles: exportProfiles, activeExportProfile: activeExportProfile });
+  return cleaned;
+}
+
+// Function to delete a profile and save the profiles to storage
+function deleteExportProfile(name) {
+  exportProfiles = exportProfiles.filter(entry => entry.name !== name);
+  if (activeExportProfile === name) {
+    activeExportProfile = DEFAULT_EXPORT_PROFILE_NAME;
+  }
+  chrome.storage.local.set({ exportProfiles: exportProfiles, activeExportProfile: activeExportProfile });
+}
+
+// Helper function to format a date value with a pattern such as MM/DD/YYYY
+// Supported tokens: YYYY, YY, MM, M, DD, D. Unparseable dates are returned unchanged
+function formatDateValue(value, pattern) {
+  const text = String(value);
+  let year, month, day;
+  
+  const match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) {
+    year = parseInt(match[1], 10);
+    month = parseInt(match[2], 10);
+    day = parseInt(match[3], 10);
+  } else {
+    const parsed = new Date(text);
+    if (isNaN(parsed.getTime())) {
+      return text;
+    }
+    year = parsed.getFullYear();
+    month = parsed.getMonth() + 1;
+    day = parsed.getDate();
+  }
+  
+  const pad = number => (number < 10 ? '0' : '') + number;
+  return pattern.replace(/YYYY|YY|MM|M|DD|D/g, token => {
+    switch (token) {
+      case 'YYYY': return String(year);
+      case 'YY': return String(year).slice(-2);
+      case 'MM': return pad(month);
+      case 'M': return String(month);
+      case 'DD': return pad(day);
+      default: return String(day);
+    }
+  });
+}
+
+// Helper function to format one value for export according to a profile column
+function formatExportValue(value, column) {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  
+  if (column.dateFormat) {
+    return formatDateValue(value, column.dateFormat);
+  }
+  
+  if (column.decimals !== null && column.decimals !== undefined) {
+    const number = parseFloat(value);
+    if (isFinite(number)) {
+      return number.toFixed(column.decimals);
+    }
+  }
+  
+  // Structured values such as crop_distribution are written as JSON
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  
+  return value.toString();
+}
+
+// Helper function to get the full crop breakdown of a record
+// Records captured before the distribution was kept fall back to their top 3 crops (fraction unknown)
+function getCropDistribution(item) {
+  if (Array.isArray(item.crop_distribution) && item.crop_distribution.length > 0) {
+    return item.crop_distribution;
+  }
+  
+  const distribution = [];
+  [1, 2, 3].forEach(rank => {
+    if (item['crop' + rank]) {
+      distribution.push({ label: item['crop' + rank], fraction: '', acres: parseFloat(item['crop_ac' + rank]) });
+    }
+  });
+  return distribution;
+}
+
+// Function to download the crop breakdown of every property as CSV
+// layout 'long' writes one row per property per crop; 'wide' writes one acreage column per crop
+// The property columns come from the chosen export profile, without its top-3 crop columns
+function downloadCropsCSV(layout, profileName) {
+  console.log(`Starting ${layout} crops CSV download process`);
+  if (collectedData.length === 0) {
+    console.log('No data to download');
+    return { status: "error", message: "No data to download" };
+  }
+  
+  const records = getExportRecords();
+  if (records.length === 0) {
+    return { status: "error", message: "Every record is excluded by the export filter rules" };
+  }
+  
+  try {
+    const profile = getExportProfile(profileName || activeExportProfile);
+    const columns = profile.columns.filter(column => !CROP_COLUMNS.includes(column.field));
+    const propertyValues = item => columns.map(column => escapeCSVValue(formatExportValue(item[column.field], column)));
+    let csvContent;
+    
+    if (layout === 'long') {
+      csvContent = [...columns.map(column => column.label), 'crop', 'crop_fraction', 'crop_acres']
+        .map(escapeCSVValue).join(',') + '\n';
+      
+      records.forEach(item => {
+        const base = propertyValues(item);
+        const distribution = getCropDistribution(item);
+        if (distribution.length === 0) {
+          // Keep properties without crop data visible
+          csvContent += [...base, '', '', ''].join(',') + '\n';
+          return;
+        }
+        distribution.forEach(crop => {
+          csvContent += [...base, escapeCSVValue(crop.label), crop.fraction, crop.acres].join(',') + '\n';
+        });
+      });
+    } else {
+      // Every crop seen anywhere becomes a column, most widespread first
+      const cropTotals = {};
+      records.forEach(item => {
+        getCropDistribution(item).forEach(crop => {
+          cropTotals[crop.label] = (cropTotals[crop.label] || 0) + (crop.acres || 0);
+        });
+      });
+      const cropLabels = Object.keys(cropTotals).sort((a, b) => cropTotals[b] - cropTotals[a]);
+      
+      csvContent = [...columns.map(column => column.label), ...cropLabels.map(label => `${label}_ac`)]
+        .map(escapeCSVValue).join(',') + '\n';
+      
+      records.forEach(item => {
+        const acresByLabel = {};
+        getCropDistribution(item).forEach(crop => {
+          acresByLabel[crop.label] = crop.acres;
+        });
+        const cropValues = cropLabels.map(label => acresByLabel[label] === undefined ? '' : acresByLabel[label]);
+        csvContent += [...propertyValues(item), ...cropValues].join(',') + '\n';
+      });
+    }
+    
+    startDownload(csvContent, `acres_crops_${layout === 'long' ? 'long' : 'wide'}.csv`, 'text/csv', records.length);
+    
+    return { status: "downloading" };
+  } catch (error) {
+    logEvent('error', 'export', `Error creating crops CSV download: ${error.message}`);
+    return { status: "error", message: error.message };
+  }
+}
+
+// Simplest fixed downloadCSV function for Manifest V3 service worker
+// Columns, their order, header labels and value formatting come from the chosen export profile
+function downloadCSV(profileName) {
+  console.log('Starting CSV download process');
+  if (collectedData.length === 0) {
+    console.log('No data to download');
+    return { status: "error", message: "No data to download" };
+  }
+  
+  const records = getExportRecords();
+  if (records.length === 0) {
+    return { status: "error", message: "Every record is excluded by the export filter rules" };
+  }
+  
+  try {
+    const profile = getExportProfile(profileName || activeExportProfile);
+    const columns = profile.columns;
+    
+    // Create CSV content
+    let csvContent = columns.map(column => escapeCSVValue(column.label)).join(',') + '\n';
+    
+    // Add data rows
+    records.forEach(item => {
+      const row = columns.map(column => escapeCSVValue(formatExportValue(item[column.field], column)));
+      csvContent += row.join(',') + '\n';
+    });
+    
+    startDownload(csvContent, 'acres_property_data.csv', 'text/csv', records.length);
+    
+    return { status: "downloading" };
+  } catch (error) {
+    logEvent('error', 'export', `Error creating CSV download: ${error.message}`);
+    return { status: "error", message: error.message };
+  }
+}
+
+// Helper function to escape quotes and wrap fields with commas in quotes
+function escapeCSVValue(value) {
+  const text = value === null || value === undefined ? '' : value.toString();
+  if (text.includes(',') || text.includes('"') || text.includes('\n')) {
+    return '"' + text.replace(/"/g, '""') + '"';
+  }
+  return text;
+}
+
+// Helper function to hand file content to the chrome.downloads API
+// Text content is URI encoded, binary content (Uint8Array) is base64 encoded
+// recordCount is noted in the active session's export history; files that aren't session data leave it out
+function startDownload(content, filename, mimeType, recordCount) {
+  // Use URI encoding and data URL scheme - simplest approach
+  const dataUri = content instanceof Uint8Array ?
+    'data:' + mimeType + ';base64,' + bytesToBase64(content) :
+    'data:' + mimeType + ';charset=utf-8,' + encodeURIComponent(content);
+  
+  // Use chrome.downloads API
+  chrome.downloads.download({
+    url: dataUri,
+    filename: filename,
+    saveAs: true
+  }, function(downloadId) {
+    if (chrome.runtime.lastError) {
+      logEvent('error', 'export', `Could not download ${filename}: ${chrome.runtime.lastError.message}`, { filename: filename });
+    } else {
+      console.log('Download started with ID:', downloadId);
+      if (recordCount !== undefined) {
+        recordExport(filename, mimeType, recordCount);
+      }
+    }
+  });
+}
+
+// Helper function to base64 encode binary data for a data URL
+function bytesToBase64(bytes) {
+  let binary = '';
+  const chunkSize = 0x8000; // Keep String.fromCharCode argument lists small
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+// Typed columns for the Excel export, in the same order as the CSV
+const XLSX_COLUMNS = [
+  { field: 'Document_num', type: 'text', width: 18 },
+  { field: 'County_fipscode', type: 'text', width: 16 },
+  { field: 'State_name', type: 'text', width: 16 },
+  { field: 'County_name', type: 'text', width: 18 },
+  { field: 'Sales_date', type: 'date', width: 12 },
+  { field: 'Sales_amount', type: 'currency', width: 15 },
+  { field: 'Sold_acre', type: 'acres', width: 11 },
+  { field: 'price_per_acre', type: 'currency', width: 15 },
+  { field: 'longitude', type: 'number', width: 12 },
+  { field: 'latitude', type: 'number', width: 12 },
+  { field: 'crop1', type: 'text', width: 20 },
+  { field: 'crop_ac1', type: 'acres' },
+  { field: 'crop2', type: 'text', width: 20 },
+  { field: 'crop_ac2', type: 'acres' },
+  { field: 'crop3', type: 'text', width: 20 },
+  { field: 'crop_ac3', type: 'acres' }
+];
+
+// Helper function to get the median of a list of numbers (null for an empty list)
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Helper function to get a percentile (0-100) of sorted numbers, interpolating between neighbours
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  const position = (sorted.length - 1) * p / 100;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+// Helper function to build the summary sheet rows: one per county plus a total row
+function buildCountySummaryRows(records, fipsCodes) {
+  const summarize = (fips, name, items) => {
+    const prices = items.map(item => parseFloat(item.price_per_acre)).filter(value => isFinite(value) && value > 0);
+    const acres = items.reduce((sum, item) => sum + (parseFloat(item.Sold_acre) || 0), 0);
+    return [fips, name, items.length, prices.length, median(prices), acres];
+  };
+  
+  const rows = fipsCodes.map(fips => {
+    const items = records.filter(item => (item.County_fipscode || '') === fips);
+    return summarize(fips || '(none)', getCountyName(fips), items);
+  });
+  rows.push(summarize('All', '', records));
+  return rows;
+}
+
+// Function to download the captured sales as an Excel workbook
+// Sheets: "All", one sheet per county FIPS code, and a "Summary" sheet
+function downloadXLSX() {
+  console.log('Starting XLSX download process');
+  if (collectedData.length === 0) {
+    console.log('No data to download');
+    return { status: "error", message: "No data to download" };
+  }
+  
+  const records = getExportRecords();
+  if (records.length === 0) {
+    return { status: "error", message: "Every record is excluded by the export filter rules" };
+  }
+  
+  try {
+    const columns = XLSX_COLUMNS.map(column => ({ header: column.field, type: column.type, width: column.width }));
+    const toRows = records => records.map(item => XLSX_COLUMNS.map(column => item[column.field]));
+    
+    const fipsCodes = Array.from(new Set(records.map(item => item.County_fipscode || ''))).sort();
+    
+    const sheets = [{ name: 'All', columns: columns, rows: toRows(records) }];
+    fipsCodes.forEach(fips => {
+      const county = targetCounties.find(entry => entry.fips === fips);
+      sheets.push({
+        name: fips ? (county ? `${fips} ${county.name}` : fips) : 'No FIPS',
+        columns: columns,
+        rows: toRows(records.filter(item => (item.County_fipscode || '') === fips))
+      });
+    });
+    
+    sheets.push({
+      name: 'Summary',
+      columns: [
+        { header: 'County_fipscode', type: 'text', width: 16 },
+        { header: 'County', type: 'text', width: 16 },
+        { header: 'Sales', type: 'integer' },
+        { header: 'Sales with price', type: 'integer', width: 16 },
+        { header: 'Median price_per_acre', type: 'currency', width: 22 },
+        { header: 'Total Sold_acre', type: 'acres', width: 16 }
+      ],
+      rows: buildCountySummaryRows(records, fipsCodes)
+    });
+    
+    const workbook = createXlsxWorkbook(sheets);
+    startDownload(workbook, 'acres_property_data.xlsx', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', records.length);
+    
+    return { status: "downloading" };
+  } catch (error) {
+    logEvent('error', 'export', `Error creating XLSX download: ${error.message}`);
+    return { status: "error", message: error.message };
+  }
+}
+
+// Helper function to split records into those with usable coordinates and those without
+function splitByCoordinates(records) {
+  const located = [];
+  const missing = [];
+  
+  records.forEach(item => {
+    const lng = parseFloat(item.longitude);
+    const lat = parseFloat(item.latitude);
+    if (isFinite(lng) && isFinite(lat)) {
+      located.push({ item: item, lng: lng, lat: lat });
+    } else {
+      missing.push({ id: item.id, Document_num: item.Document_num || '' });
+    }
+  });
+  
+  return { located: located, missing: missing };
+}
+
+// Helper function to get the attributes of a record that become feature properties
+// Coordinates are left out because they are already the feature geometry
+function getFeatureProperties(item) {
+  const properties = {};
+  Object.keys(item).forEach(key => {
+    if (key !== 'longitude' && key !== 'latitude') {
+      properties[key] = item[key] === undefined ? null : item[key];
+    }
+  });
+  return properties;
+}
+
+// Function to download the captured sales as a GeoJSON FeatureCollection
+function downloadGeoJSON() {
+  console.log('Starting GeoJSON download process');
+  if (collectedData.length === 0) {
+    console.log('No data to download');
+    return { status: "error", message: "No data to download" };
+  }
+  
+  const records = getExportRecords();
+  if (records.length === 0) {
+    return { status: "error", message: "Every record is excluded by the export filter rules" };
+  }
+  
+  try {
+    const { located, missing } = splitByCoordinates(records);
+    if (located.length === 0) {
+      return { status: "error", message: "No records have coordinates", missingCoordinates: missing };
+    }
+    
+    const featureCollection = {
+      type: 'FeatureCollection',
+      features: located.map(entry => ({
+        type: 'Feature',
+        id: entry.item.id,
+        geometry: {
+          type: 'Point',
+          coordinates: [entry.lng, entry.lat]
+        },
+        properties: getFeatureProperties(entry.item)
+      }))
+    };
+    
+    startDownload(JSON.stringify(featureCollection), 'acres_property_data.geojson', 'application/geo+json', located.length);
+    
+    if (missing.length > 0) {
+      console.log(`GeoJSON export skipped ${missing.length} records without coordinates`);
+    }
+    return { status: "downloading", exported: located.length, missingCoordinates: missing };
+  } catch (error) {
+    logEvent('error', 'export', `Error creating GeoJSON download: ${error.message}`);
+    return { status: "error", message: error.message };
+  }
+}
+
+// Helper function to escape text for XML content and attributes
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Function to download the captured sales as KML placemarks (Google Earth)
+function downloadKML() {
+  console.log('Starting KML download process');
+  if (collectedData.length === 0) {
+    console.log('No data to download');
+    return { status: "error", message: "No data to download" };
+  }
+  
+  const records = getExportRecords();
+  if (records.length === 0) {
+    return { status: "error", message: "Every record is excluded by the export filter rules" };
+  }
+  
+  try {
+    const { located, missing } = splitByCoordinates(records);
+    if (located.length === 0) {
+      return { status: "error", message: "No records have coordinates", missingCoordinates: missing };
+    }
+    
+    let kmlContent = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<kml xmlns="http://www.opengis.net/kml/2.2">\n' +
+      '<Document>\n' +
+      '<name>Acres.com property sales</name>\n';
+    
+    located.forEach(entry => {
+      const properties = getFeatureProperties(entry.item);
+      const extendedData = Object.keys(properties).map(key => {
+        const value = properties[key] === null ? '' :
+          typeof properties[key] === 'object' ? JSON.stringify(properties[key]) : properties[key];
+        return `<Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`;
+      }).join('');
+      
+      kmlContent += '<Placemark>' +
+        `<name>${escapeXml(entry.item.Document_num || entry.item.id)}</name>` +
+        `<ExtendedData>${extendedData}</ExtendedData>` +
+        `<Point><coordinates>${entry.lng},${entry.lat}</coordinates></Point>` +
+        '</Placemark>\n';
+    });
+    
+    kmlContent += '</Document>\n</kml>\n';
+    
+    startDownload(kmlContent, 'acres_property_data.kml', 'application/vnd.google-earth.kml+xml', located.length);
+    
+    if (missing.length > 0) {
+      console.log(`KML export skipped ${missing.length} records without coordinates`);
+    }
+    return { status: "downloading", exported: located.length, missingCoordinates: missing };
+  } catch (error) {
+    logEvent('error', 'export', `Error creating KML download: ${error.message}`);
+    return { status: "error", message: error.message };
+  }
+}
+
+// Typed columns of the sales table in the SQLite export
+// User-added mapping columns follow as TEXT, then the courthouse-comps response as JSON
+const SQLITE_SALES_COLUMNS = [
+  { name: 'id', type: 'TEXT' },
+  { name: 'Document_num', type: 'TEXT' },
+  { name: 'County_fipscode', type: 'TEXT' },
+  { name: 'State_name', type: 'TEXT' },
+  { name: 'County_name', type: 'TEXT' },
+  { name: 'location_fips', type: 'TEXT' },
+  { name: 'fips_check', type: 'TEXT' },
+  { name: 'Sales_date', type: 'TEXT' },
+  { name: 'Sales_amount', type: 'REAL' },
+  { name: 'Sold_acre', type: 'REAL' },
+  { name: 'computed_acres', type: 'REAL' },
+  { name: 'price_per_acre', type: 'REAL' },
+  { name: 'longitude', type: 'REAL' },
+  { name: 'latitude', type: 'REAL' },
+  { name: 'crop1', type: 'TEXT' },
+  { name: 'crop_ac1', type: 'REAL' },
+  { name: 'crop2', type: 'TEXT' },
+  { name: 'crop_ac2', type: 'REAL' },
+  { name: 'crop3', type: 'TEXT' },
+  { name: 'crop_ac3', type: 'REAL' },
+  { name: 'crop_match_confidence', type: 'REAL' },
+  { name: 'crop_match_method', type: 'TEXT' },
+  { name: 'crop_match_status', type: 'TEXT' },
+  { name: 'captured_at', type: 'INTEGER' }, // Milliseconds since 1970
+  { name: 'tab_id', type: 'INTEGER' },
+  { name: 'run_id', type: 'TEXT' }
+];
+
+// Function to download the whole dataset as a SQLite database
+// Tables: sales (one row per property and session), crops (one row per property and crop) and sessions (where the sales came from)
+// Sessions other than the active one are read from storage, so the response comes through the callback
+function downloadSQLite(callback) {
+  logEvent('debug', 'export', 'Starting SQLite export');
+  if (sessionDataLoading) {
+    callback({ status: "error", message: "The session is still loading - try again in a moment" });
+    return;
+  }
+  
+  const storedSessions = sessions.filter(session => session.id !== activeSessionId);
+  const keys = [];
+  storedSessions.forEach(session => {
+    keys.push(getSessionStorageKey(session.id), getPayloadsStorageKey(session.id));
+  });
+  
+  chrome.storage.local.get(keys, function(result) {
+    const sessionData = sessions.map(session => {
+      if (session.id === activeSessionId) {
+        return { session: session, records: collectedData, rawPayloads: rawPayloads };
+      }
+      const data = result[getSessionStorageKey(session.id)] || {};
+      return {
+        session: session,
+        records: (data.collectedData || []).map(item => ({ ...item, id: String(item.id) })),
+        rawPayloads: result[getPayloadsStorageKey(session.id)] || data.rawPayloads || {}
+      };
+    });
+    callback(writeSQLiteDownload(sessionData));
+  });
+}
+
+// Helper function to build and download the SQLite database from every session's records
+function writeSQLiteDownload(sessionData) {
+  if (sessionData.every(entry => entry.records.length === 0)) {
+    logEvent('warn', 'export', 'SQLite export skipped - no data to download');
+    return { status: "error", message: "No data to download" };
+  }
+  
+  // The filter rules are applied per session; the popup shows the counts over all of them
+  const counts = {};
+  let excluded = 0;
+  let duplicates = 0;
+  sessionData.forEach(entry => {
+    const filtered = filterExportRecords(entry.records);
+    Object.keys(filtered.counts).forEach(ruleId => {
+      counts[ruleId] = (counts[ruleId] || 0) + filtered.counts[ruleId];
+    });
+    excluded += filtered.excluded;
+    
+    // (session_id, id) is the sales table's primary key - a record sharing one with an earlier record is left out
+    const seenIds = new Set();
+    entry.exported = filtered.records.filter(item => {
+      const id = String(item.id);
+      if (seenIds.has(id)) {
+        return false;
+      }
+      seenIds.add(id);
+      return true;
+    });
+    duplicates += filtered.records.length - entry.exported.length;
+  });
+  saveExportFilterStats(counts, excluded);
+  
+  const total = sessionData.reduce((sum, entry) => sum + entry.exported.length, 0);
+  if (total === 0) {
+    return { status: "error", message: "Every record is excluded by the export filter rules" };
+  }
+  if (duplicates > 0) {
+    logEvent('warn', 'export', `SQLite export left out ${duplicates} records with a duplicate id`);
+  }
+  
+  try {
+    const customColumns = customFieldMappings
+      .filter(mapping => !SQLITE_SALES_COLUMNS.some(column => column.name === mapping.column))
+      .map(mapping => ({ name: mapping.column, type: 'TEXT' }));
+    const salesColumns = [
+      ...SQLITE_SALES_COLUMNS,
+      ...customColumns,
+      { name: 'session_id', type: 'TEXT' },
+      { name: 'raw_payload', type: 'TEXT' }
+    ];
+    
+    const salesRows = [];
+    const cropRows = [];
+    sessionData.forEach(entry => {
+      const sessionId = entry.session.id;
+      entry.exported.forEach(item => {
+        salesRows.push([
+          ...SQLITE_SALES_COLUMNS.map(column => item[column.name]),
+          ...customColumns.map(column => item[column.name]),
+          sessionId,
+          entry.rawPayloads[item.id] ? JSON.stringify(entry.rawPayloads[item.id]) : null
+        ]);
+        
+        // A crop label appearing twice in one breakdown gets one row with the parts added up
+        const rowsByLabel = {};
+        getCropDistribution(item).forEach(crop => {
+          const row = rowsByLabel[crop.label];
+          if (row) {
+            row[4] = (parseFloat(row[4]) || 0) + (parseFloat(crop.fraction) || 0);
+            row[5] = (parseFloat(row[5]) || 0) + (parseFloat(crop.acres) || 0);
+            return;
+          }
+          rowsByLabel[crop.label] = [sessionId, item.id, crop.label, Object.keys(rowsByLabel).length + 1, crop.fraction, crop.acres];
+          cropRows.push(rowsByLabel[crop.label]);
+        });
+      });
+    });
+    
+    // Provenance: one row per session, with the settings the export was made with
+    const exportedAt = new Date().toISOString();
+    const version = chrome.runtime.getManifest().version;
+    const mappings = JSON.stringify(getFieldMappings());
+    const filters = JSON.stringify({ rules: filterRules, validation: validationSettings });
+    const sessionRows = sessionData.map(entry => [
+      entry.session.id,
+      entry.session.name,
+      entry.session.createdAt ? new Date(entry.session.createdAt).toISOString() : null,
+      entry.session.archived ? 1 : 0,
+      entry.session.id === activeSessionId ? 1 : 0,
+      entry.exported.length,
+      entry.records.length - entry.exported.length,
+      exportedAt,
+      version,
+      mappings,
+      filters
+    ]);
+    
+    const database = createSqliteDatabase([
+      { name: 'sales', columns: salesColumns, primaryKey: ['session_id', 'id'], rows: salesRows },
+      {
+        name: 'crops',
+        columns: [
+          { name: 'session_id', type: 'TEXT' },
+          { name: 'property_id', type: 'TEXT' },
+          { name: 'crop', type: 'TEXT' },
+          { name: 'rank', type: 'INTEGER' },
+          { name: 'fraction', type: 'REAL' },
+          { name: 'acres', type: 'REAL' }
+        ],
+        primaryKey: ['session_id', 'property_id', 'crop'],
+        rows: cropRows
+      },
+      {
+        name: 'sessions',
+        columns: [
+          { name: 'session_id', type: 'TEXT' },
+          { name: 'name', type: 'TEXT' },
+          { name: 'created_at', type: 'TEXT' },
+          { name: 'archived', type: 'INTEGER' },
+          { name: 'active', type: 'INTEGER' },
+          { name: 'sales_exported', type: 'INTEGER' },
+          { name: 'sales_left_out', type: 'INTEGER' },
+          { name: 'exported_at', type: 'TEXT' },
+          { name: 'extension_version', type: 'TEXT' },
+          { name: 'field_mappings', type: 'TEXT' },
+          { name: 'export_filters', type: 'TEXT' }
+        ],
+        primaryKey: ['session_id'],
+        rows: sessionRows
+      }
+    ]);
+    startDownload(database, 'acres_property_data.db', 'application/vnd.sqlite3', total);
+    
+    return { status: "downloading" };
+  } catch (error) {
+    logEvent('error', 'export', `Error creating SQLite download: ${error.message}`);
+    return { status: "error", message: error.message };
+  }
+}
+
+// Function to download the active session as a JSON backup
+// Records and stored payloads are written as they are, so an import restores them exactly
+function downloadJSONBackup() {
+  console.log('Starting JSON backup download process');
+  if (collectedData.length === 0) {
+    console.log('No data to download');
+    return { status: "error", message: "No data to download" };
+  }
+  
+  try {
+    const session = sessions.find(entry => entry.id === activeSessionId);
+    const backup = {
+      format: BACKUP_FORMAT,
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      session: session ? session.name : '',
+      records: collectedData,
+      rawPayloads: rawPayloads
+    };
+    
+    startDownload(JSON.stringify(backup), 'acres_property_data.json', 'application/json', collectedData.length);
+    
+    return { status: "downloading" };
+  } catch (error) {
+    logEvent('error', 'export', `Error creating JSON backup download: ${error.message}`);
+    return { status: "error", message: error.message };
+  }
+}
+
+// Helper function to parse CSV text as written by escapeCSVValue into rows of values
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let inQuotes = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
       } else {
-        console.error(`Failed to get crop data after ${MAX_RETRIES} retries for request ID: ${requestId}`);
-        pendingCropRequests.delete(requestId);
-        delete cropRequestBodies[requestId];
+        value += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
       }
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
     } else {
-      // Clean up stored request body on error
-      delete cropRequestBodies[requestId];
+      value += char;
     }
-  });
-}
-
-// Helper function to update properties with matching crop data
-function updatePropertiesWithCropData(cropAcres, cropData) {
-  let updated = false;
+  }
   
-  // Update any property with matching acreage - using more flexible matching
-  for (let i = 0; i < collectedData.length; i++) {
-    // Try to get computed_acres from the property
-    const propertyAcres = collectedData[i].computed_acres ? 
-                          parseFloat(collectedData[i].computed_acres) : null;
-    
-    // If property has valid acreage and it matches crop acreage (with slightly more tolerance)
-    if (propertyAcres && Math.abs(propertyAcres - cropAcres) < 0.15) {
-      console.log('Updating property with crop data, property acres:', propertyAcres, 'crop acres:', cropAcres);
-      
-      // Update the property with crop data
-      collectedData[i] = {
-        ...collectedData[i],
-        ...cropData
-      };
-      
-      updated = true;
-    }
+  if (value !== '' || row.length > 0) {
+    row.push(value);
+    rows.push(row);
   }
   
-  return updated;
+  // Blank lines carry no record
+  return rows.filter(entry => entry.length > 1 || entry[0] !== '');
 }
 
-// Helper function to find matching crop data for a property
-function findMatchingCropData(acres) {
-  if (!acres) return null;
+// Helper function to read the records out of a CSV written by downloadCSV
+// The header must be exactly the header of one of the export profiles, which tells us the field of each column
+// With loadRows the profile has to write values as they are stored - reformatted dates and numbers can't be loaded back
+function readCSVExport(text, loadRows) {
+  const rows = parseCSV(text.replace(/^\uFEFF/, ''));
+  if (rows.length === 0) {
+    throw new Error('The CSV file is empty');
+  }
   
-  const acresValue = parseFloat(acres);
-  if (isNaN(acresValue)) return null;
+  const header = rows[0].map(label => label.trim());
+  const profile = getExportProfiles().find(entry =>
+    entry.columns.length === header.length && entry.columns.every((column, index) => column.label === header[index]));
+  if (!profile) {
+    throw new Error('Unrecognized CSV header - expected the columns of an export profile, e.g. ' +
+      getDefaultExportProfile().columns.map(column => column.label).join(','));
+  }
   
-  // Check all stored crop data for a match with increased tolerance
-  for (const [key, value] of Object.entries(cropDataStore)) {
-    const cropAcres = parseFloat(key);
-    
-    // Match within 0.15 acre tolerance (slightly more than before)
-    if (Math.abs(acresValue - cropAcres) < 0.15) {
-      return value;
-    }
+  const fields = profile.columns.map(column => column.field);
+  if (!fields.includes('id') && !fields.includes('Document_num')) {
+    throw new Error(`Profile "${profile.name}" has neither an id nor a Document_num column to deduplicate on`);
   }
   
-  return null;
-}
-
-// Function to save all data to storage
-function saveDataToStorage() {
-  chrome.storage.local.set({
-    collectedData: collectedData,
-    collectedIds: Array.from(collectedIds),
-    cropDataStore: cropDataStore
-  }, function() {
-    console.log('All data saved to storage. Properties:', collectedData.length);
+  const formatted = profile.columns.filter(column => column.dateFormat || (column.decimals !== null && column.decimals !== undefined));
+  if (loadRows && formatted.length > 0) {
+    throw new Error(`Profile "${profile.name}" reformats ${formatted.map(column => column.label).join(', ')}, so its rows can't be ` +
+      'loaded back - import it without loading rows, or export with a built-in profile');
+  }
+  
+  const records = rows.slice(1).map((row, index) => {
+    if (row.length !== fields.length) {
+      throw new Error(`Row ${index + 2} has ${row.length} values, expected ${fields.length}`);
+    }
+    const record = {};
+    fields.forEach((field, column) => {
+      record[field] = row[column];
+    });
+    
+    // The crop breakdown is written as JSON
+    if (typeof record.crop_distribution === 'string') {
+      try {
+        record.crop_distribution = record.crop_distribution ? JSON.parse(record.crop_distribution) : [];
+      } catch (error) {
+        throw new Error(`Row ${index + 2} has a crop_distribution that isn't valid JSON`);
+      }
+    }
+    return record;
   });
+  
+  return { records: records, rawPayloads: {}, source: `CSV (profile "${profile.name}")` };
 }
 
-// Function to load saved data from storage
-function loadSavedData() {
-  chrome.storage.local.get(["collectedData", "collectedIds", "cropDataStore"], function(result) {
-    if (result.collectedData) {
-      collectedData = result.collectedData;
-      
-      // Restore the collected IDs set
-      if (result.collectedIds) {
-        collectedIds = new Set(result.collectedIds);
-      }
-      
-      // Restore crop data
-      if (result.cropDataStore) {
-        cropDataStore = result.cropDataStore;
-      }
-      
-      console.log('Loaded data from storage. Properties:', collectedData.length);
-      chrome.action.setBadgeText({text: collectedData.length.toString()});
-      chrome.action.setBadgeBackgroundColor({color: '#4CAF50'});
+// Helper function to read the records out of a JSON backup, or a plain array of records
+function readJSONExport(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The JSON file could not be parsed: ' + error.message);
+  }
+  
+  let records;
+  let payloads = {};
+  if (Array.isArray(parsed)) {
+    records = parsed;
+  } else if (parsed && parsed.format === BACKUP_FORMAT && Array.isArray(parsed.records)) {
+    records = parsed.records;
+    payloads = parsed.rawPayloads || {};
+  } else {
+    throw new Error('The JSON file is not a backup written by this extension');
+  }
+  
+  records.forEach((record, index) => {
+    if (!record || typeof record !== 'object' || (!record.id && !record.Document_num)) {
+      throw new Error(`Record ${index + 1} has neither an id nor a Document_num`);
     }
   });
+  
+  return { records: records, rawPayloads: payloads, source: 'JSON backup' };
 }
 
-// Simplest fixed downloadCSV function for Manifest V3 service worker
-function downloadCSV() {
-  console.log('Starting CSV download process');
-  if (collectedData.length === 0) {
-    console.log('No data to download');
-    return { status: "error", message: "No data to download" };
+// Function to import an earlier CSV export or JSON backup into the active session
+// Its IDs and document numbers seed deduplication; with loadRows the records are added to the dataset too
+function importExportFile(text, filename, loadRows) {
+  ensureSessionLoaded();
+  const content = String(text || '').trim();
+  if (!content) {
+    throw new Error('The file is empty');
   }
   
-  try {
-    // Set headers in the exact order specified
-    const headers = [
-      'Document_num', 
-      'County_fipscode', 
-      'Sales_date', 
-      'Sales_amount', 
-      'Sold_acre', 
-      'price_per_acre', 
-      'longitude', 
-      'latitude',
-      'crop1',
-      'crop_ac1',
-      'crop2',
-      'crop_ac2',
-      'crop3',
-      'crop_ac3'
-    ];
-    
-    // Create CSV content
-    let csvContent = headers.join(',') + '\n';
+  const isJson = /\.json$/i.test(filename || '') || content.startsWith('{') || content.startsWith('[');
+  const imported = isJson ? readJSONExport(content) : readCSVExport(content, loadRows);
+  
+  const knownDocumentNumbers = new Set(collectedData.map(item => String(item.Document_num || '')).filter(value => value));
+  let loaded = 0;
+  let duplicates = 0;
+  
+  imported.records.forEach(record => {
+    const id = record.id ? String(record.id) : '';
+    const documentNumber = record.Document_num ? String(record.Document_num) : '';
+    if (id) {
+      importedIds.add(id);
+    }
+    if (documentNumber) {
+      importedDocumentNumbers.add(documentNumber);
+    }
     
-    // Add data rows
-    collectedData.forEach(item => {
-      const row = headers.map(header => {
-        // Escape quotes and wrap fields with commas in quotes
-        const value = item[header] === null || item[header] === undefined ? '' : item[header].toString();
-        if (value.includes(',') || value.includes('"') || value.includes('\n')) {
-          return '"' + value.replace(/"/g, '""') + '"';
-        }
-        return value;
-      });
-      csvContent += row.join(',') + '\n';
-    });
+    if (!loadRows) {
+      return;
+    }
     
-    // Use URI encoding and data URL scheme - simplest approach
-    const dataUri = 'data:text/csv;charset=utf-8,' + encodeURIComponent(csvContent);
-    
-    // Use chrome.downloads API
-    chrome.downloads.download({
-      url: dataUri,
-      filename: 'acres_property_data.csv',
-      saveAs: true
-    }, function(downloadId) {
-      if (chrome.runtime.lastError) {
-        console.error('Download error:', chrome.runtime.lastError);
-        return { status: "error", message: chrome.runtime.lastError.message };
-      } else {
-        console.log('Download started with ID:', downloadId);
-        return { status: "downloading" };
-      }
-    });
+    if ((id && collectedIds.has(id)) || (documentNumber && knownDocumentNumbers.has(documentNumber))) {
+      duplicates++;
+      return;
+    }
     
-    return { status: "downloading" };
-  } catch (error) {
-    console.error('Error creating CSV download:', error);
-    return { status: "error", message: error.message };
-  }
+    const item = { ...record, id: id || `imported-${documentNumber}` };
+    if (!item.crop_match_status) {
+      item.crop_match_status = getCropDistribution(item).length > 0 ? 'imported' : '';
+    }
+    collectedData.push(item);
+    collectedIds.add(item.id);
+    if (documentNumber) {
+      knownDocumentNumbers.add(documentNumber);
+    }
+    if (imported.rawPayloads[item.id]) {
+      rawPayloads[item.id] = imported.rawPayloads[item.id];
+      rawPayloadsChanged = true;
+    }
+    loaded++;
+  });
+  
+  chrome.action.setBadgeText({text: collectedData.length > 0 ? collectedData.length.toString() : ""});
+  saveDataToStorage();
+  logEvent('info', 'import', `Imported ${imported.records.length} records from ${imported.source}: ${loaded} loaded, ${duplicates} already known`, {
+    source: imported.source,
+    records: imported.records.length,
+    loaded: loaded
+  });
+  
+  return {
+    source: imported.source,
+    records: imported.records.length,
+    loaded: loaded,
+    duplicates: duplicates,
+    knownIds: importedIds.size,
+    knownDocumentNumbers: importedDocumentNumbers.size
+  };
 }
 
 // Function to be injected into the page for clicking map elements
-function clickMapElement() {
+// With options.sweep set, only unclicked markers are clicked and no random fallbacks are used,
+// so the sweep can tell when the current tile has been fully covered
+function clickMapElement(options) {
   console.log('Attempting to interact with Mapbox map...');
   
+  const sweepMode = !!(options && options.sweep);
+  // Keys of markers the extension says not to click: done ones, and ones whose sale is still on its way
+  const skipMarkers = new Set((options && options.skipMarkers) || []);
+  const waitMarkers = new Set((options && options.waitMarkers) || []);
+  let waitingForMarkers = false; // Whether a marker in view is still waiting for its sale
+  let clickedMarkerKey = null; // Key of the marker this call clicks, reported back with the result
+  
+  // Helper function to check whether a marker can be clicked now
+  function isMarkerClickable(markerKey) {
+    if (!markerKey || skipMarkers.has(markerKey)) {
+      return false;
+    }
+    if (waitMarkers.has(markerKey)) {
+      waitingForMarkers = true;
+      return false;
+    }
+    return true;
+  }
+  
   // Wait a moment to ensure the map is fully loaded
   // This can help with detecting markers that might not be immediately available
   function findAndClickMarkers() {
@@ -638,18 +3633,77 @@ function clickMapElement() {
     // Find the map instance or work with canvas directly
     const mapInstance = findMapboxInstance();
     
+    // Helper function to build a marker key from a position; the same place gives the same key after panning
+    function getLngLatKey(lng, lat) {
+      return `lnglat:${Number(lng).toFixed(6)},${Number(lat).toFixed(6)}`;
+    }
+    
+    // Function to get the key of a map feature: its courthouse-comps id, its Mapbox id, or its coordinates
+    function getFeatureMarkerKey(feature) {
+      if (feature.properties && feature.properties.id !== undefined && feature.properties.id !== null) {
+        return `sale:${feature.properties.id}`;
+      }
+      if (feature.id !== undefined && feature.id !== null) {
+        return `feature:${feature.id}`;
+      }
+      if (feature.geometry && Array.isArray(feature.geometry.coordinates) && typeof feature.geometry.coordinates[0] === 'number') {
+        return getLngLatKey(feature.geometry.coordinates[0], feature.geometry.coordinates[1]);
+      }
+      return null;
+    }
+    
+    // Function to get the key of a marker element - every element gets one, the best identification available
+    function getDOMMarkerKey(element) {
+      const dataset = element.dataset || {};
+      if (dataset.saleId) {
+        return `sale:${dataset.saleId}`;
+      }
+      if (dataset.featureId || dataset.id) {
+        return `feature:${dataset.featureId || dataset.id}`;
+      }
+      
+      // A Mapbox Marker knows its own position
+      const markers = mapInstance && Array.isArray(mapInstance._markers) ? mapInstance._markers : [];
+      const marker = markers.find(entry => {
+        try {
+          const markerElement = entry.getElement && entry.getElement();
+          return markerElement && (markerElement === element || markerElement.contains(element));
+        } catch (e) {
+          return false;
+        }
+      });
+      if (marker && marker.getLngLat) {
+        const lngLat = marker.getLngLat();
+        return getLngLatKey(lngLat.lng, lngLat.lat);
+      }
+      
+      const rect = element.getBoundingClientRect();
+      
+      // Otherwise project the element's centre onto the map - rounded to about 10 m, as the centre moves by a pixel or so
+      if (mapInstance && typeof mapInstance.unproject === 'function' && typeof mapInstance.getContainer === 'function') {
+        try {
+          const containerRect = mapInstance.getContainer().getBoundingClientRect();
+          const lngLat = mapInstance.unproject([
+            rect.left + rect.width / 2 - containerRect.left,
+            rect.top + rect.height / 2 - containerRect.top
+          ]);
+          return `near:${lngLat.lng.toFixed(4)},${lngLat.lat.toFixed(4)}`;
+        } catch (e) {
+          console.log('Could not project the marker position:', e);
+        }
+      }
+      
+      // Last resort: its place on the screen, which only holds until the map moves
+      return `dom:${Math.round(rect.left)}-${Math.round(rect.top)}-${element.getAttribute('class') || ''}`;
+    }
+    
     // Try to find markers in the DOM first
     const domMarkers = findDOMMarkers();
     if (domMarkers.length > 0) {
-      // Try to find an unclicked marker
-      const clickedMarkerIds = JSON.parse(localStorage.getItem('acres_clicked_dom_markers') || '[]');
-      
-      // Find markers we haven't clicked yet
+      // Find markers that aren't done yet
       const unclickedMarkers = domMarkers.filter(marker => {
-        // Create a unique ID for this marker based on position and class
-        const rect = marker.getBoundingClientRect();
-        const markerId = `${Math.round(rect.left)}-${Math.round(rect.top)}-${marker.className}`;
-        return !clickedMarkerIds.includes(markerId);
+        const markerKey = getDOMMarkerKey(marker);
+        return isMarkerClickable(markerKey);
       });
       
       // If we have unclicked markers, pick one
@@ -680,29 +3734,16 @@ function clickMapElement() {
         });
         
         markerToClick = unclickedMarkers[0];
-      } else if (domMarkers.length > 0) {
-        // All markers clicked, reset the tracking and pick a random one
-        console.log('All DOM markers clicked, resetting tracking');
-        localStorage.setItem('acres_clicked_dom_markers', JSON.stringify([]));
-        
-        // Pick a random marker
-        const randomIndex = Math.floor(Math.random() * domMarkers.length);
-        markerToClick = domMarkers[randomIndex];
+      } else {
+        console.log('No unclicked DOM markers in view');
       }
       
       // Click the selected marker
       if (markerToClick) {
         const rect = markerToClick.getBoundingClientRect();
-        const markerId = `${Math.round(rect.left)}-${Math.round(rect.top)}-${markerToClick.className}`;
+        clickedMarkerKey = getDOMMarkerKey(markerToClick);
         
-        console.log('Clicking DOM marker:', markerId);
-        
-        // Add to clicked markers
-        const clickedMarkerIds = JSON.parse(localStorage.getItem('acres_clicked_dom_markers') || '[]');
-        if (!clickedMarkerIds.includes(markerId)) {
-          clickedMarkerIds.push(markerId);
-          localStorage.setItem('acres_clicked_dom_markers', JSON.stringify(clickedMarkerIds));
-        }
+        console.log('Clicking DOM marker:', clickedMarkerKey);
         
         // Create and dispatch the click event
         const centerX = rect.left + rect.width / 2;
@@ -818,20 +3859,7 @@ if (!mapFeatures.length) {
   }
 }
 
-// Get markers that we've clicked before
-let clickedMarkers = [];
-try {
-  const stored = localStorage.getItem('acres_clicked_markers');
-  if (stored) {
-    clickedMarkers = JSON.parse(stored);
-  }
-} catch (e) {
-  console.error('Error parsing clicked markers:', e);
-  clickedMarkers = [];
-  localStorage.setItem('acres_clicked_markers', JSON.stringify([]));
-}
-
-// Find an unclicked feature or use a random one if all clicked
+// Find an unclicked feature
 let featureToClick = null;
 
 if (mapFeatures.length) {
@@ -840,8 +3868,8 @@ if (mapFeatures.length) {
     if (!feature.geometry || !feature.geometry.coordinates) {
       return false;
     }
-    const featureId = JSON.stringify(feature.geometry.coordinates);
-    return !clickedMarkers.includes(featureId);
+    const markerKey = getFeatureMarkerKey(feature);
+    return isMarkerClickable(markerKey);
   });
   
   console.log('Unclicked features:', unclickedFeatures.length, 'of', mapFeatures.length);
@@ -873,29 +3901,11 @@ if (mapFeatures.length) {
       const randomIndex = Math.floor(Math.random() * unclickedFeatures.length);
       featureToClick = unclickedFeatures[randomIndex];
     }
-  } else if (mapFeatures.length) {
-    // All have been clicked, pick random
-    const randomIndex = Math.floor(Math.random() * mapFeatures.length);
-    featureToClick = mapFeatures[randomIndex];
-    
-    // Reset clicked markers occasionally if we've clicked them all
-    if (Math.random() < 0.3) { // 30% chance to reset
-      console.log('Resetting clicked markers tracking');
-      localStorage.setItem('acres_clicked_markers', JSON.stringify([]));
-      clickedMarkers = [];
-    }
   }
   
   if (featureToClick && featureToClick.geometry && featureToClick.geometry.coordinates) {
     console.log('Clicking feature at:', featureToClick.geometry.coordinates);
     
-    // Mark as clicked
-    const featureId = JSON.stringify(featureToClick.geometry.coordinates);
-    if (!clickedMarkers.includes(featureId)) {
-      clickedMarkers.push(featureId);
-      localStorage.setItem('acres_clicked_markers', JSON.stringify(clickedMarkers));
-    }
-    
     // Convert geo coordinates to pixel coordinates and click
     try {
       const pixelCoords = mapInstance.project(featureToClick.geometry.coordinates);
@@ -918,6 +3928,7 @@ if (mapFeatures.length) {
       });
       
       canvas.dispatchEvent(clickEvent);
+      clickedMarkerKey = getFeatureMarkerKey(featureToClick);
       return 'Clicked on map feature';
     } catch (e) {
       console.error('Error clicking feature:', e);
@@ -925,13 +3936,22 @@ if (mapFeatures.length) {
   }
 }
 
-// If we have visible markers from the map instance, try to click one
-if (visibleMarkers && visibleMarkers.length > 0) {
-  console.log(`Trying to click one of ${visibleMarkers.length} visible markers`);
+// If we have visible markers from the map instance, try to click one that isn't done yet
+const unclickedVisibleMarkers = (visibleMarkers || []).filter(marker => {
+  try {
+    const lngLat = marker.getLngLat && marker.getLngLat();
+    return lngLat && isMarkerClickable(getLngLatKey(lngLat.lng, lngLat.lat));
+  } catch (e) {
+    return false;
+  }
+});
+if (unclickedVisibleMarkers.length > 0) {
+  console.log(`Trying to click one of ${unclickedVisibleMarkers.length} unclicked visible markers`);
   
   // Get a random marker
-  const randomIndex = Math.floor(Math.random() * visibleMarkers.length);
-  const marker = visibleMarkers[randomIndex];
+  const randomIndex = Math.floor(Math.random() * unclickedVisibleMarkers.length);
+  const marker = unclickedVisibleMarkers[randomIndex];
+  const markerLngLat = marker.getLngLat();
   
   try {
     // Try to get the element and click it
@@ -951,6 +3971,7 @@ if (visibleMarkers && visibleMarkers.length > 0) {
         });
         
         element.dispatchEvent(clickEvent);
+        clickedMarkerKey = getLngLatKey(markerLngLat.lng, markerLngLat.lat);
         return `Clicked on marker element at ${centerX},${centerY}`;
       }
     }
@@ -975,6 +3996,7 @@ if (visibleMarkers && visibleMarkers.length > 0) {
         });
         
         canvas.dispatchEvent(clickEvent);
+        clickedMarkerKey = getLngLatKey(lngLat.lng, lngLat.lat);
         return `Clicked at marker position ${lngLat.lng},${lngLat.lat}`;
       }
     }
@@ -987,6 +4009,11 @@ console.error('Error interacting with map:', mapError);
 }
 }
 
+// In sweep mode there is nothing left to click in this view, unless a clicked marker's sale is still loading
+if (sweepMode) {
+return waitingForMarkers ? 'Waiting for clicked markers to load' : 'No unclicked markers in view';
+}
+
 // Special case: look for any elements that look like property cards
 const propertyCardSelectors = [
 '.property-card',
@@ -1066,79 +4093,265 @@ return 'Could not interact with map';
 
 // Wait a short time for the map to stabilize, then try to find and click markers
 // This helps especially after map panning or zooming when markers might be loading
+// The extension gets the message along with the key of the marker that was clicked, if any
 return new Promise((resolve) => {
 setTimeout(() => {
 const result = findAndClickMarkers();
-resolve(result);
+resolve({ result: result, markerKey: clickedMarkerKey });
 }, 300); // Small delay to let the map settle
 });
 }
 
-// Simplified function to focus the map on counties in sequence
-function focusMapOnCountiesInOrder() {
-  console.log('Focusing map on target counties with simplified function...');
+// Simplified function to focus the map on one county
+// The run picks the county, so every tab keeps its own place in the rotation
+function focusMapOnCounty(currentCounty) {
+  console.log(`Focusing on county ${currentCounty.name}`);
+  
+  // Try multiple approaches to move the map
+  
+  // Move a map instance to the county - fit the bounding box when we have one
+  function moveMap(mapInstance) {
+    if (currentCounty.bbox && typeof mapInstance.fitBounds === 'function') {
+      mapInstance.fitBounds(
+        [[currentCounty.bbox[0], currentCounty.bbox[1]], [currentCounty.bbox[2], currentCounty.bbox[3]]],
+        { animate: false }
+      );
+    } else {
+      mapInstance.setCenter([currentCounty.lng, currentCounty.lat]);
+      mapInstance.setZoom(currentCounty.zoom);
+    }
+  }
   
-  // Target counties coordinates (California Central Valley) in priority order
-  const targetAreas = [
-    { name: 'Fresno', lng: -119.7726, lat: 36.7468, zoom: 10, fips: '06019' },
-    { name: 'Kern', lng: -118.9015, lat: 35.3933, zoom: 10, fips: '06029' },
-    { name: 'Tulare', lng: -118.8028, lat: 36.2308, zoom: 9, fips: '06107' },
-    { name: 'Kings', lng: -119.8815, lat: 36.0988, zoom: 10, fips: '06031' }
-  ];
+  // Approach 1: Use simpler map discovery
+  try {
+    if (window.map && typeof window.map.setCenter === 'function') {
+      moveMap(window.map);
+      console.log('Successfully focused map via window.map');
+      return true;
+    }
+  } catch (e) {
+    console.log('Error with window.map approach:', e);
+  }
   
-  // Get current county from localStorage or start with Fresno
-  let currentCountyIndex = 0;
+  // Approach 2: Find map by canvas
   try {
-    const storedIndex = localStorage.getItem('acres_current_county_index');
-    if (storedIndex !== null) {
-      currentCountyIndex = parseInt(storedIndex, 10);
-      // Make sure it's valid, otherwise reset
-      if (isNaN(currentCountyIndex) || currentCountyIndex < 0 || currentCountyIndex >= targetAreas.length) {
-        currentCountyIndex = 0;
+    const canvas = document.querySelector('.mapboxgl-canvas');
+    if (canvas && canvas.parentNode) {
+      // Try to find the map instance from the canvas container
+      const container = canvas.parentNode;
+      
+      // Try common map access patterns
+      for (const key in container) {
+        try {
+          const obj = container[key];
+          if (obj && typeof obj === 'object' && typeof obj.setCenter === 'function') {
+            moveMap(obj);
+            console.log('Successfully focused map via canvas container');
+            return true;
+          }
+        } catch (e) {
+          // Skip any errors in property access
+        }
       }
     }
   } catch (e) {
-    console.error('Error getting stored county index:', e);
-    currentCountyIndex = 0;
+    console.log('Error with canvas approach:', e);
+  }
+  
+  // Approach 3: Last resort - try to programmatically click the county navigation
+  try {
+    // Look for county navigation elements
+    const navElements = Array.from(document.querySelectorAll('a, button, [role="button"]'));
+    const countyElement = navElements.find(el => 
+      el.textContent && 
+      (el.textContent.includes(currentCounty.name) || 
+       el.textContent.toLowerCase().includes(currentCounty.name.toLowerCase()))
+    );
+    
+    if (countyElement) {
+      countyElement.click();
+      console.log('Clicked on county navigation element');
+      return true;
+    }
+  } catch (e) {
+    console.log('Error with navigation click approach:', e);
+  }
+  
+  console.log('Could not focus map with any method');
+  return false;
+}
+
+// Improved county targeting function
+// This will cycle through the run's counties in order; the run keeps its place in the rotation
+function focusMapOnTargetCounties(run) {
+const tabId = run.tabId;
+const counties = getRunCounties(run);
+if (counties.length === 0) {
+logEvent('warn', 'focus', 'No target counties enabled', { tabId: tabId });
+return;
+}
+
+const county = counties[(run.focusCountyIndex || 0) % counties.length];
+run.focusCountyIndex = ((run.focusCountyIndex || 0) + 1) % counties.length;
+
+chrome.tabs.get(tabId, function(tab) {
+if (chrome.runtime.lastError || !tab) {
+console.error('Tab no longer exists');
+return;
+}
+
+chrome.scripting.executeScript({
+target: {tabId: tabId},
+func: focusMapOnCounty,
+args: [county]
+}).then(results => {
+const focused = results[0].result;
+if (focused) {
+logEvent('info', 'focus', `Focused the map on ${county.name}`, { tabId: tabId, fips: county.fips });
+} else {
+logEvent('warn', 'focus', 'Could not focus the map on a target county', { tabId: tabId });
+}
+}).catch(error => {
+logEvent('error', 'focus', `Error executing focus script: ${error.message}`, { tabId: tabId });
+});
+});
+}
+
+// Helper functions to convert between longitude/latitude and normalized Web Mercator coordinates (0-1)
+function lngToMercatorX(lng) {
+  return (lng + 180) / 360;
+}
+
+function latToMercatorY(lat) {
+  const sin = Math.sin(lat * Math.PI / 180);
+  return 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI);
+}
+
+function mercatorXToLng(x) {
+  return x * 360 - 180;
+}
+
+function mercatorYToLat(y) {
+  return 360 / Math.PI * Math.atan(Math.exp((0.5 - y) * 2 * Math.PI)) - 90;
+}
+
+// Helper function to get the area a sweep has to cover for a county
+// The registry's bounding box wins; otherwise the county's extent from the bundled boundaries, or null
+function getSweepBbox(county) {
+  if (county.bbox) {
+    return county.bbox;
   }
+  const boundary = countyIndex ? countyIndex.byFips[normalizeFips(county.fips)] : null;
+  return boundary ? boundary.bbox : null;
+}
+
+// Function to split a bounding box into viewport-sized tiles at the given zoom
+// Tiles are ordered row by row in a serpentine pattern to keep each pan short
+function buildCountyTiles(bbox, zoom, viewport) {
+  // Mapbox GL renders the world as 512px tiles, so the world is 512 * 2^zoom pixels wide
+  const worldSize = 512 * Math.pow(2, zoom);
+  const tileWidth = viewport.width / worldSize;
+  const tileHeight = viewport.height / worldSize;
   
-  // Get the current target county
-  const currentCounty = targetAreas[currentCountyIndex];
-  console.log(`Focusing on county ${currentCounty.name} (${currentCountyIndex + 1}/${targetAreas.length})`);
+  // North is the smaller mercator y
+  const minX = lngToMercatorX(bbox[0]);
+  const maxX = lngToMercatorX(bbox[2]);
+  const minY = latToMercatorY(bbox[3]);
+  const maxY = latToMercatorY(bbox[1]);
   
-  // Update for next time - cycle through counties
-  currentCountyIndex = (currentCountyIndex + 1) % targetAreas.length;
-  localStorage.setItem('acres_current_county_index', currentCountyIndex.toString());
+  const cols = Math.max(1, Math.ceil((maxX - minX) / tileWidth));
+  const rows = Math.max(1, Math.ceil((maxY - minY) / tileHeight));
   
-  // Try multiple approaches to move the map
+  const tiles = [];
+  for (let row = 0; row < rows; row++) {
+    for (let i = 0; i < cols; i++) {
+      const col = row % 2 === 0 ? i : cols - 1 - i;
+      tiles.push({
+        lng: mercatorXToLng(minX + (col + 0.5) * tileWidth),
+        lat: mercatorYToLat(minY + (row + 0.5) * tileHeight)
+      });
+    }
+  }
+  
+  return tiles;
+}
+
+// Function to load saved sweep progress from storage
+function loadSweepProgress() {
+  chrome.storage.local.get(["sweepProgress", "sweepSettings"], function(result) {
+    if (result.sweepProgress) {
+      sweepProgress = result.sweepProgress;
+    }
+    if (result.sweepSettings) {
+      autoClickMode = result.sweepSettings.mode || autoClickMode;
+      sweepZoom = result.sweepSettings.zoom || sweepZoom;
+    }
+  });
+}
+
+// Function to save sweep progress to storage
+function saveSweepProgress() {
+  chrome.storage.local.set({ sweepProgress: sweepProgress });
+}
+
+// Helper function to summarize sweep coverage per enabled county for the popup
+function getSweepCoverage() {
+  return getEnabledTargetCounties().map(county => {
+    const progress = sweepProgress[county.fips];
+    const total = progress ? progress.total : 0;
+    const completed = progress ? progress.completed.length : 0;
+    return {
+      fips: county.fips,
+      name: county.name,
+      zoom: progress ? progress.zoom : null,
+      completed: completed,
+      total: total,
+      percent: total > 0 ? Math.round(completed / total * 1000) / 10 : 0
+    };
+  });
+}
+
+// Function to be injected into the page to report the map viewport size in pixels
+function getMapViewportSize() {
+  const canvas = document.querySelector('.mapboxgl-canvas');
+  if (!canvas) {
+    return null;
+  }
+  const rect = canvas.getBoundingClientRect();
+  return { width: Math.round(rect.width), height: Math.round(rect.height) };
+}
+
+// Function to be injected into the page to center the map on a sweep tile
+function focusMapOnTile(lng, lat, zoom) {
+  function moveMap(mapInstance) {
+    if (typeof mapInstance.jumpTo === 'function') {
+      mapInstance.jumpTo({ center: [lng, lat], zoom: zoom });
+    } else {
+      mapInstance.setCenter([lng, lat]);
+      mapInstance.setZoom(zoom);
+    }
+  }
   
   // Approach 1: Use simpler map discovery
   try {
     if (window.map && typeof window.map.setCenter === 'function') {
-      window.map.setCenter([currentCounty.lng, currentCounty.lat]);
-      window.map.setZoom(currentCounty.zoom);
-      console.log('Successfully focused map via window.map');
+      moveMap(window.map);
       return true;
     }
   } catch (e) {
     console.log('Error with window.map approach:', e);
   }
   
-  // Approach 2: Find map by canvas
+  // Approach 2: Find map by canvas container
   try {
     const canvas = document.querySelector('.mapboxgl-canvas');
     if (canvas && canvas.parentNode) {
-      // Try to find the map instance from the canvas container
       const container = canvas.parentNode;
-      
-      // Try common map access patterns
       for (const key in container) {
         try {
           const obj = container[key];
           if (obj && typeof obj === 'object' && typeof obj.setCenter === 'function') {
-            obj.setCenter([currentCounty.lng, currentCounty.lat]);
-            obj.setZoom(currentCounty.zoom);
-            console.log('Successfully focused map via canvas container');
+            moveMap(obj);
             return true;
           }
         } catch (e) {
@@ -1150,61 +4363,335 @@ function focusMapOnCountiesInOrder() {
     console.log('Error with canvas approach:', e);
   }
   
-  // Approach 3: Last resort - try to programmatically click the county navigation
-  try {
-    // Look for county navigation elements
-    const navElements = Array.from(document.querySelectorAll('a, button, [role="button"]'));
-    const countyElement = navElements.find(el => 
-      el.textContent && 
-      (el.textContent.includes(currentCounty.name) || 
-       el.textContent.toLowerCase().includes(currentCounty.name.toLowerCase()))
-    );
+  return false;
+}
+
+// Function to record that a run clicked a marker, so the sale captured next in its tab can be tied to it
+function recordMarkerClick(run, markerKey) {
+  const entry = markerRegistry[markerKey] || { attempts: 0, lastClickedAt: null, saleId: null, capturedAt: null };
+  entry.attempts++;
+  entry.lastClickedAt = Date.now();
+  markerRegistry[markerKey] = entry;
+  run.lastMarker = { key: markerKey, clickedAt: entry.lastClickedAt };
+}
+
+// Function to mark the marker last clicked in a tab as done once its sale has been captured
+// context = {tabId, timestamp} of the courthouse-comps request, as for handlePropertyPayload
+function linkSaleToClickedMarker(saleId, context) {
+  const run = autoClickRuns[context.tabId];
+  if (!run || !run.lastMarker) {
+    return;
+  }
+  
+  const requestedAt = context.timestamp || Date.now();
+  const sinceClick = requestedAt - run.lastMarker.clickedAt;
+  if (sinceClick < 0 || sinceClick > MARKER_CAPTURE_WINDOW) {
+    return; // Not opened by that click
+  }
+  
+  const entry = markerRegistry[run.lastMarker.key];
+  if (entry) {
+    entry.saleId = saleId;
+    entry.capturedAt = Date.now();
+  }
+  run.lastMarker = null;
+  saveDataToStorage();
+}
+
+// Function to tell the page script which markers not to click
+// skipMarkers: the sale is captured, or the marker was given up on
+// waitMarkers: clicked so recently that its sale may still be on its way
+function getMarkerClickFilter() {
+  const now = Date.now();
+  const skipMarkers = [];
+  const waitMarkers = [];
+  Object.keys(markerRegistry).forEach(key => {
+    const entry = markerRegistry[key];
+    if (entry.saleId || entry.attempts >= MARKER_MAX_ATTEMPTS) {
+      skipMarkers.push(key);
+    } else if (entry.lastClickedAt && now - entry.lastClickedAt < MARKER_CAPTURE_WINDOW) {
+      waitMarkers.push(key);
+    }
+  });
+  
+  // Markers that carry their sale id are done as soon as that sale is known, however it was captured
+  collectedIds.forEach(id => skipMarkers.push(`sale:${id}`));
+  importedIds.forEach(id => skipMarkers.push(`sale:${id}`));
+  return { skipMarkers: skipMarkers, waitMarkers: waitMarkers };
+}
+
+// Function to summarize the marker registry of the active session for the popup
+function getMarkerRegistrySummary() {
+  const entries = Object.values(markerRegistry);
+  return {
+    clicked: entries.length,
+    captured: entries.filter(entry => entry.saleId).length,
+    givenUp: entries.filter(entry => !entry.saleId && entry.attempts >= MARKER_MAX_ATTEMPTS).length
+  };
+}
+
+// Helper function to handle what clickMapElement returned: remember the marker it clicked and pass its message on
+function handleMarkerClickResult(run, clickResult) {
+  if (!clickResult) {
+    return null;
+  }
+  if (clickResult.markerKey) {
+    recordMarkerClick(run, clickResult.markerKey);
+  }
+  logEvent('debug', 'click', clickResult.result, { tabId: run.tabId, runId: run.runId, markerKey: clickResult.markerKey });
+  return clickResult.result;
+}
+
+// Helper function to get the counties a run works on: its own list, or every enabled county
+function getRunCounties(run) {
+  if (!run.counties) {
+    return getEnabledTargetCounties();
+  }
+  return targetCounties.filter(county => run.counties.includes(county.fips));
+}
+
+// Function to set up the sweep tiles for every county of a run
+// Saved progress is reused when it was made at the same zoom, so a sweep resumes where it left off
+function initSweep(run, done) {
+  const sweepZoom = run.sweepZoom;
+  chrome.scripting.executeScript({
+    target: {tabId: run.tabId},
+    func: getMapViewportSize
+  }).then(results => {
+    const viewport = results && results[0] ? results[0].result : null;
+    if (!viewport || !viewport.width || !viewport.height) {
+      done();
+      countSweepMapFailure(run);
+      return;
+    }
+    run.sweepMapFailures = 0;
     
-    if (countyElement) {
-      countyElement.click();
-      console.log('Clicked on county navigation element');
-      return true;
+    const counties = getRunCounties(run).map(county => {
+      const bbox = getSweepBbox(county);
+      if (!bbox) {
+        logEvent('warn', 'autoclick', `Sweep skips ${county.name} (${county.fips}) - it has no bounding box`, { tabId: run.tabId, fips: county.fips });
+        return { fips: county.fips, name: county.name, tiles: [] };
+      }
+      
+      let progress = sweepProgress[county.fips];
+      if (!progress || progress.zoom !== sweepZoom || JSON.stringify(progress.bbox) !== JSON.stringify(bbox)) {
+        // New sweep for this county (or the zoom or area changed, which changes the tiling)
+        progress = { zoom: sweepZoom, bbox: bbox, viewport: viewport, total: 0, completed: [] };
+        sweepProgress[county.fips] = progress;
+      }
+      
+      // Keep the viewport the progress was recorded with so tile indexes stay stable
+      const tiles = buildCountyTiles(bbox, sweepZoom, progress.viewport);
+      progress.total = tiles.length;
+      console.log(`Sweep for ${county.name}: ${progress.completed.length}/${tiles.length} tiles done`);
+      
+      return { fips: county.fips, name: county.name, tiles: tiles };
+    });
+    
+    saveSweepProgress();
+    run.sweepState = {
+      counties: counties,
+      countyIndex: 0,
+      tileIndex: 0,
+      focused: false,
+      clicksInTile: 0
+    };
+    done();
+  }).catch(error => {
+    console.error('Error measuring map viewport:', error);
+    done();
+  });
+}
+
+// Helper function to check whether another sweep run is working on a tile
+function isSweepTileClaimed(run, fips, tileIndex) {
+  return Object.values(autoClickRuns).some(other => {
+    if (other === run || !other.sweepState) {
+      return false;
     }
-  } catch (e) {
-    console.log('Error with navigation click approach:', e);
+    const county = other.sweepState.counties[other.sweepState.countyIndex];
+    return county && county.fips === fips && other.sweepState.tileIndex === tileIndex;
+  });
+}
+
+// Helper function to move a run's sweep position to the next tile that isn't completed yet
+// Tiles another run is working on are skipped too, and looked at again once the run reaches the end
+// Returns the county and tile to work on, {waiting: true} when only tiles of other runs are left,
+// or null when every county is fully covered
+function getCurrentSweepTile(run) {
+  const sweepState = run.sweepState;
+  
+  // The tile the map is focused on stays this run's until it is done, even if another run starts at it
+  const currentCounty = sweepState.counties[sweepState.countyIndex];
+  if (sweepState.focused && currentCounty && !sweepProgress[currentCounty.fips].completed.includes(sweepState.tileIndex)) {
+    return { county: currentCounty, tile: currentCounty.tiles[sweepState.tileIndex] };
   }
   
-  console.log('Could not focus map with any method');
-  return false;
+  while (sweepState.countyIndex < sweepState.counties.length) {
+    const county = sweepState.counties[sweepState.countyIndex];
+    const completed = sweepProgress[county.fips].completed;
+    
+    while (sweepState.tileIndex < county.tiles.length) {
+      if (!completed.includes(sweepState.tileIndex) && !isSweepTileClaimed(run, county.fips, sweepState.tileIndex)) {
+        return { county: county, tile: county.tiles[sweepState.tileIndex] };
+      }
+      sweepState.tileIndex++;
+    }
+    
+    sweepState.countyIndex++;
+    sweepState.tileIndex = 0;
+  }
+  
+  // A tile skipped for another run is left unfinished if that run stopped on it
+  let waiting = false;
+  for (let countyIndex = 0; countyIndex < sweepState.counties.length; countyIndex++) {
+    const county = sweepState.counties[countyIndex];
+    const completed = sweepProgress[county.fips].completed;
+    for (let tileIndex = 0; tileIndex < county.tiles.length; tileIndex++) {
+      if (completed.includes(tileIndex)) {
+        continue;
+      }
+      if (isSweepTileClaimed(run, county.fips, tileIndex)) {
+        waiting = true;
+        continue;
+      }
+      sweepState.countyIndex = countyIndex;
+      sweepState.tileIndex = tileIndex;
+      sweepState.focused = false;
+      sweepState.clicksInTile = 0;
+      return { county: county, tile: county.tiles[tileIndex] };
+    }
+  }
+  
+  return waiting ? { waiting: true } : null;
 }
 
-// Improved county targeting function
-// This will cycle through counties in order: Fresno → Kern → Tulare → Kings
-function focusMapOnTargetCounties(tabId) {
-chrome.tabs.get(tabId, function(tab) {
-if (chrome.runtime.lastError || !tab) {
-console.error('Tab no longer exists');
-return;
+// Function to mark a run's current sweep tile as completed and move on
+function completeSweepTile(run, fips) {
+  const sweepState = run.sweepState;
+  const progress = sweepProgress[fips];
+  if (!progress.completed.includes(sweepState.tileIndex)) {
+    progress.completed.push(sweepState.tileIndex);
+  }
+  saveSweepProgress();
+  
+  logEvent('info', 'autoclick', `Sweep tile ${sweepState.tileIndex + 1}/${progress.total} done for county ${fips}`, { tabId: run.tabId, fips: fips });
+  sweepState.tileIndex++;
+  sweepState.focused = false;
+  sweepState.clicksInTile = 0;
 }
 
-chrome.scripting.executeScript({
-target: {tabId: tabId},
-func: focusMapOnCountiesInOrder
-}).then(results => {
-const focused = results[0].result;
-if (focused) {
-console.log('Successfully focused map on target county');
-} else {
-console.log('Could not focus map');
+// One step of a run's grid sweep: focus the current tile, or click its next unclicked marker
+function sweepNextStep(run) {
+  const tabId = run.tabId;
+  if (run.stepInProgress) {
+    return;
+  }
+  run.stepInProgress = true;
+  const done = () => {
+    run.stepInProgress = false;
+  };
+  
+  if (!run.sweepState) {
+    initSweep(run, done);
+    return;
+  }
+  
+  const sweepState = run.sweepState;
+  const current = getCurrentSweepTile(run);
+  if (!current) {
+    console.log(`Sweep complete on tab ${tabId} - all its counties are covered`);
+    done();
+    stopAutoClick(tabId, 'Sweep complete - all counties of the run are covered');
+    return;
+  }
+  if (current.waiting) {
+    // Other runs are on the last tiles - take them over if those runs stop before finishing
+    done();
+    return;
+  }
+  
+  if (!sweepState.focused) {
+    chrome.scripting.executeScript({
+      target: {tabId: tabId},
+      func: focusMapOnTile,
+      args: [current.tile.lng, current.tile.lat, run.sweepZoom]
+    }).then(results => {
+      if (results && results[0] && results[0].result) {
+        logEvent('info', 'focus', `Sweep focused ${current.county.name} tile ${sweepState.tileIndex + 1}/${current.county.tiles.length}`, { tabId: tabId, fips: current.county.fips });
+        sweepState.focused = true;
+        sweepState.clicksInTile = 0;
+        run.sweepMapFailures = 0;
+        done();
+      } else {
+        logEvent('warn', 'focus', 'Could not focus the map on a sweep tile', { tabId: tabId, fips: current.county.fips });
+        done();
+        countSweepMapFailure(run);
+      }
+    }).catch(error => {
+      logEvent('error', 'focus', `Error executing sweep focus script: ${error.message}`, { tabId: tabId });
+      done();
+    });
+    return;
+  }
+  
+  chrome.scripting.executeScript({
+    target: {tabId: tabId},
+    world: 'MAIN', // The page's map object is only reachable from the page's own world
+    func: clickMapElement,
+    args: [{ sweep: true, ...getMarkerClickFilter() }]
+  }).then(results => {
+    const result = handleMarkerClickResult(run, results && results[0] ? results[0].result : null);
+    
+    // A map that hasn't loaded (or failed to) says nothing about the tile - try again on the next step
+    if (result === 'No map found') {
+      done();
+      countSweepMapFailure(run);
+      return;
+    }
+    run.sweepMapFailures = 0;
+    
+    if (result === SWEEP_TILE_DONE_RESULT) {
+      completeSweepTile(run, current.county.fips);
+    } else {
+      sweepState.clicksInTile++;
+      if (sweepState.clicksInTile >= SWEEP_MAX_CLICKS_PER_TILE) {
+        console.log('Click limit reached for sweep tile, moving on');
+        completeSweepTile(run, current.county.fips);
+      }
+    }
+    done();
+  }).catch(error => {
+    logEvent('error', 'click', `Error executing sweep click script: ${error.message}`, { tabId: tabId });
+    done();
+  });
 }
-}).catch(error => {
-console.error('Error executing focus script:', error);
-});
-});
+
+// Helper function to count a sweep step that found no usable map, stopping the run after too many in a row
+function countSweepMapFailure(run) {
+  run.sweepMapFailures = (run.sweepMapFailures || 0) + 1;
+  if (run.sweepMapFailures >= SWEEP_MAX_MAP_FAILURES) {
+    stopAutoClick(run.tabId, `Sweep stopped - no map found after ${SWEEP_MAX_MAP_FAILURES} tries`);
+    return;
+  }
+  logEvent('warn', 'autoclick', `No map found for the sweep (${run.sweepMapFailures}/${SWEEP_MAX_MAP_FAILURES}), retrying`, { tabId: run.tabId });
 }
 
 // Improved auto-click function with better balance of county focusing
-function clickNextButton(tabId) {
+function clickNextButton(run) {
+  const tabId = run.tabId;
+  
+  // Sweep mode walks the county tiles in order instead of refocusing at random
+  if (run.mode === 'sweep') {
+    sweepNextStep(run);
+    return;
+  }
+  
   // Decrease the chance of refocusing the map to avoid too much focusing
   // Now 15% chance (was 30%) to spend more time clicking markers
   if (Math.random() < 0.15) {
     console.log('Refocusing map on next target county');
-    focusMapOnTargetCounties(tabId);
+    focusMapOnTargetCounties(run);
     
     // Give the map a moment to load after focusing before trying to click
     setTimeout(() => {
@@ -1222,153 +4709,670 @@ function tryClickMapElements(tabId) {
 chrome.tabs.get(tabId, function(tab) {
 if (chrome.runtime.lastError || !tab) {
 console.error('Tab no longer exists, stopping auto-click');
-stopAutoClick();
+stopAutoClick(tabId, 'The acres.com tab was closed');
 return;
 }
 
 // Ensure we're still on acres.com
 if (!tab.url.includes('acres.com')) {
 console.log('No longer on acres.com, stopping auto-click');
-stopAutoClick();
+stopAutoClick(tabId, 'The tab left acres.com');
 return;
 }
 
 // Use the scripting API to execute our click function in the page context
 chrome.scripting.executeScript({
 target: {tabId: tabId},
-func: clickMapElement
+world: 'MAIN', // The page's map object is only reachable from the page's own world
+func: clickMapElement,
+args: [{ sweep: false, ...getMarkerClickFilter() }]
 }).then(results => {
 if (!results || results.length === 0) {
 console.error('No results from click script execution');
 return;
 }
 
-const result = results[0].result;
-
-// Handle the promise from clickMapElement
-if (result instanceof Promise) {
-result.then(clickResult => {
-  console.log('Map interaction result:', clickResult);
-}).catch(error => {
-  console.error('Error in click script promise:', error);
-});
+// The run may have been stopped while the page script ran
+const run = autoClickRuns[tabId];
+const clickResult = results[0].result;
+if (run) {
+handleMarkerClickResult(run, clickResult);
 } else {
-console.log('Map interaction result:', result);
+console.log('Map interaction result:', clickResult && clickResult.result);
 }
 }).catch(error => {
-console.error('Error executing click script:', error);
+logEvent('error', 'click', `Error executing click script: ${error.message}`, { tabId: tabId });
 
 // Check if this is a permissions issue
 if (error.message && (
   error.message.includes('permission') || 
   error.message.includes('cannot access'))) {
 console.log('Permission error, stopping auto-click');
-stopAutoClick();
+stopAutoClick(tabId, 'No permission to script the page: ' + error.message);
 }
 });
 });
 }
 
-// Start the auto-click process
-function startAutoClick() {
-if (autoClickEnabled) {
-console.log('Auto-click already running');
-return; // Already running
+// Function to load the auto-click stop conditions and the last stop reason from storage
+function loadStopConditions() {
+  chrome.storage.local.get(["stopConditions", "lastAutoClickStop"], function(result) {
+    if (result.stopConditions) {
+      stopConditions = { ...stopConditions, ...result.stopConditions };
+    }
+    if (result.lastAutoClickStop) {
+      lastAutoClickStop = result.lastAutoClickStop;
+    }
+  });
+}
+
+// Helper function to validate stop conditions coming from the popup
+// Empty or zero values turn a condition off
+function normalizeStopConditions(conditions) {
+  const cleaned = {};
+  ['maxNewProperties', 'timeBudgetMinutes', 'stallMinutes'].forEach(key => {
+    const value = parseFloat(conditions[key]);
+    if (conditions[key] !== undefined && conditions[key] !== '' && (isNaN(value) || value < 0)) {
+      throw new Error(`${key} must be a positive number`);
+    }
+    cleaned[key] = isNaN(value) ? 0 : value;
+  });
+  return cleaned;
+}
+
+// Function to check the stop conditions of a run
+// Returns the reason to stop, or null to keep clicking
+function getStopReason(run) {
+  const conditions = run.stopConditions;
+  const stats = run.stats;
+  const now = Date.now();
+  if (conditions.maxNewProperties > 0 && stats.newProperties >= conditions.maxNewProperties) {
+    return `Reached the target of ${conditions.maxNewProperties} new properties`;
+  }
+  if (conditions.timeBudgetMinutes > 0 && now - stats.startedAt >= conditions.timeBudgetMinutes * 60000) {
+    return `Used up the time budget of ${conditions.timeBudgetMinutes} minutes`;
+  }
+  if (conditions.stallMinutes > 0 && now - stats.lastNewAt >= conditions.stallMinutes * 60000) {
+    return `No new properties for ${conditions.stallMinutes} minutes`;
+  }
+  return null;
+}
+
+// Helper function to create the pacing state of a run, at the base click delay
+function createPacing() {
+  return {
+    delay: CLICK_DELAY,
+    latencies: [],
+    consecutiveErrors: 0,
+    pausedUntil: 0,
+    lastStatus: null,
+    message: 'Healthy'
+  };
+}
+
+// Helper function to check whether the recent responses are clearly slower than the earlier ones
+function isLatencyRising(pacing) {
+  const latencies = pacing.latencies;
+  if (latencies.length < 10) {
+    return false;
+  }
+  const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+  return average(latencies.slice(-5)) > average(latencies.slice(0, -5)) * LATENCY_RISE_RATIO;
+}
+
+// Helper function to show on the badge whether any run is paused
+function updatePausedBadge() {
+  const now = Date.now();
+  const paused = Object.values(autoClickRuns).some(run => run.pacing.pausedUntil > now);
+  chrome.action.setBadgeBackgroundColor({color: paused ? '#ff9800' : '#4CAF50'});
+}
+
+// Function to adjust the pacing of the run in a tab to a courthouse-comps or cdl_stats response seen there
+// 429, 5xx and network errors back off; rising latency slows down; healthy responses speed back up
+function recordResponseForPacing(capture, tabId) {
+  sharedRequestTimes.push(Date.now());
+  
+  const run = autoClickRuns[tabId];
+  if (!run) {
+    return;
+  }
+  const pacing = run.pacing;
+  
+  pacing.lastStatus = capture.status;
+  const overloaded = capture.status === 429 || capture.status >= 500 || capture.status === 0;
+  
+  if (overloaded) {
+    pacing.consecutiveErrors++;
+    pacing.delay = Math.min(MAX_CLICK_DELAY, pacing.delay * PACING_BACKOFF_FACTOR);
+    const statusText = capture.status ? `HTTP ${capture.status}` : 'network error';
+    pacing.message = `Slowed down after ${statusText}`;
+    
+    if (pacing.consecutiveErrors >= PACING_ERROR_LIMIT && pacing.pausedUntil <= Date.now()) {
+      pacing.pausedUntil = Date.now() + PACING_PAUSE_DURATION;
+      pacing.message = `Paused after ${pacing.consecutiveErrors} failed responses in a row (last: ${statusText})`;
+      pacing.consecutiveErrors = 0;
+      updatePausedBadge();
+      logEvent('warn', 'autoclick', pacing.message, { tabId: tabId, runId: run.runId });
+    }
+    return;
+  }
+  
+  if (!capture.ok) {
+    return; // Other failures say nothing about server load
+  }
+  
+  pacing.consecutiveErrors = 0;
+  if (typeof capture.duration === 'number') {
+    pacing.latencies.push(capture.duration);
+    if (pacing.latencies.length > LATENCY_WINDOW) {
+      pacing.latencies.shift();
+    }
+  }
+  
+  if (isLatencyRising(pacing)) {
+    pacing.delay = Math.min(MAX_CLICK_DELAY, pacing.delay * PACING_SLOWDOWN_FACTOR);
+    pacing.message = 'Slowed down - responses are getting slower';
+  } else {
+    pacing.delay = Math.max(CLICK_DELAY, pacing.delay * PACING_RECOVERY_FACTOR);
+    pacing.message = pacing.delay > CLICK_DELAY ? 'Speeding back up' : 'Healthy';
+  }
+}
+
+// Helper function to describe a run's pacing for the popup
+function getPacingStatus(pacing) {
+  const latencies = pacing.latencies;
+  return {
+    delay: Math.round(pacing.delay),
+    averageLatency: latencies.length > 0 ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length) : null,
+    paused: pacing.pausedUntil > Date.now(),
+    pausedUntil: pacing.pausedUntil,
+    lastStatus: pacing.lastStatus,
+    message: pacing.message
+  };
+}
+
+// Helper function to describe the runs for the popup
+function getRunsSummary() {
+  return Object.values(autoClickRuns).map(run => ({
+    runId: run.runId,
+    tabId: run.tabId,
+    mode: run.mode,
+    sweepZoom: run.sweepZoom,
+    counties: run.counties,
+    stopConditions: run.stopConditions,
+    stats: run.stats,
+    pacing: getPacingStatus(run.pacing)
+  }));
+}
+
+// Helper function to check the shared rate limit of all runs together
+// Returns how long (ms) to wait before another click, or 0 to click now
+function getSharedRateLimitWait() {
+  const windowStart = Date.now() - SHARED_RATE_WINDOW;
+  sharedRequestTimes = sharedRequestTimes.filter(time => time > windowStart);
+  if (sharedRequestTimes.length < SHARED_MAX_REQUESTS) {
+    return 0;
+  }
+  return sharedRequestTimes[0] - windowStart + 100;
+}
+
+// Function to run the next click step of a run once its pacing delay has passed
+// Each delay gets random jitter; while paused or held back by the shared rate limit,
+// the loop only wakes up to check the stop conditions
+function scheduleNextClick(run) {
+  let delay;
+  const pausedFor = run.pacing.pausedUntil - Date.now();
+  if (pausedFor > 0) {
+    delay = Math.min(pausedFor, 5000);
+  } else {
+    delay = run.pacing.delay * (1 + (Math.random() * 2 - 1) * CLICK_JITTER);
+  }
+  
+  saveAutoClickState();
+  autoClickTimers[run.tabId] = setTimeout(() => {
+    run.lastStepAt = Date.now();
+    if (autoClickRuns[run.tabId] !== run) {
+      return; // Stopped meanwhile
+    }
+    
+    const stopReason = getStopReason(run);
+    if (stopReason) {
+      console.log(`Stop condition met on tab ${run.tabId}:`, stopReason);
+      stopAutoClick(run.tabId, stopReason);
+      return;
+    }
+    
+    if (run.pacing.pausedUntil > Date.now()) {
+      scheduleNextClick(run);
+      return;
+    }
+    if (run.pacing.pausedUntil) {
+      console.log(`Resuming auto-click on tab ${run.tabId} after pause`);
+      run.pacing.pausedUntil = 0;
+      run.pacing.message = 'Resumed after pause';
+      updatePausedBadge();
+    }
+    
+    // All runs share one request budget
+    const rateLimitWait = getSharedRateLimitWait();
+    if (rateLimitWait > 0) {
+      run.pacing.message = 'Waiting for the shared rate limit';
+      autoClickTimers[run.tabId] = setTimeout(() => scheduleNextClick(run), Math.min(rateLimitWait, 5000));
+      return;
+    }
+    
+    clickNextButton(run);
+    scheduleNextClick(run);
+  }, delay);
+}
+
+// Function to save the running harvests so a restarted worker can carry on from the same step
+function saveAutoClickState() {
+  chrome.storage.local.set({
+    autoClickState: { runs: autoClickRuns, savedAt: Date.now() }
+  });
+}
+
+// Function to resume the harvests that were running when the worker was suspended
+// done runs once every run is resumed, or found to be over
+function restoreAutoClickState(done) {
+  chrome.storage.local.get(["autoClickState"], function(result) {
+    const state = result.autoClickState;
+    const savedRuns = state && state.runs ? Object.values(state.runs) : [];
+    let remaining = savedRuns.length;
+    if (remaining === 0) {
+      done();
+      return;
+    }
+    
+    savedRuns.forEach(savedRun => {
+      if (autoClickRuns[savedRun.tabId]) {
+        if (--remaining === 0) done();
+        return;
+      }
+      
+      const run = { ...savedRun, stepInProgress: false };
+      autoClickRuns[run.tabId] = run;
+      
+      chrome.tabs.get(run.tabId, function(tab) {
+        if (chrome.runtime.lastError || !tab || !tab.url || !tab.url.includes('acres.com')) {
+          console.log(`The auto-click tab ${run.tabId} is gone, not resuming its run`);
+          stopAutoClick(run.tabId, 'The acres.com tab was gone when the extension woke up');
+        } else {
+          logEvent('info', 'autoclick', 'Resumed auto-click after a worker restart', { tabId: run.tabId, runId: run.runId });
+          chrome.alarms.create(AUTO_CLICK_WATCHDOG_ALARM, { periodInMinutes: AUTO_CLICK_WATCHDOG_PERIOD });
+          scheduleNextClick(run);
+        }
+        if (--remaining === 0) done();
+      });
+    });
+  });
 }
 
+// Start an auto-click run in one tab
+// options.tabId picks the tab (default: the active acres.com tab), options.counties limits the run to
+// those FIPS codes (default: every enabled county), options.mode picks 'random' or 'sweep',
+// options.sweepZoom the zoom the sweep tiles are sized for, options.stopConditions when the run ends by itself
+function startAutoClick(options) {
+options = options || {};
 console.log('Starting auto-click process');
 
-// Find the active tab with acres.com
-chrome.tabs.query({active: true, url: "*://*.acres.com/*"}, function(tabs) {
+const runStopConditions = options.stopConditions ? normalizeStopConditions(options.stopConditions) : stopConditions;
+const counties = Array.isArray(options.counties) && options.counties.length > 0 ? options.counties : null;
+if (counties) {
+const unknown = counties.filter(fips => !targetCounties.some(county => county.fips === fips));
+if (unknown.length > 0) {
+  throw new Error(`Unknown target counties: ${unknown.join(', ')}`);
+}
+}
+
+// A sweep has to know the whole area of every county it covers
+if (options.mode === 'sweep') {
+const runCounties = counties ? targetCounties.filter(county => counties.includes(county.fips)) : getEnabledTargetCounties();
+const withoutArea = runCounties.filter(county => !getSweepBbox(county));
+if (withoutArea.length > 0) {
+  throw new Error(`Sweep needs a bounding box for: ${withoutArea.map(county => county.name || county.fips).join(', ')} - set one in Settings`);
+}
+}
+
+if (options.stopConditions) {
+stopConditions = runStopConditions;
+chrome.storage.local.set({ stopConditions: stopConditions });
+}
+if (options.mode) {
+autoClickMode = options.mode === 'sweep' ? 'sweep' : 'random';
+}
+if (options.sweepZoom) {
+const zoom = parseFloat(options.sweepZoom);
+if (!isNaN(zoom) && zoom > 0) {
+  sweepZoom = zoom;
+}
+}
+chrome.storage.local.set({ sweepSettings: { mode: autoClickMode, zoom: sweepZoom } });
+
+const query = options.tabId ? {url: "*://*.acres.com/*"} : {active: true, url: "*://*.acres.com/*"};
+chrome.tabs.query(query, function(tabs) {
 if (chrome.runtime.lastError) {
 console.error('Error querying tabs:', chrome.runtime.lastError);
 return;
 }
 
-if (!tabs || tabs.length === 0) {
-console.log('No active acres.com tab found');
+const tab = options.tabId ? (tabs || []).find(entry => entry.id === options.tabId) : (tabs || [])[0];
+if (!tab) {
+console.log('No acres.com tab found to run in');
 return;
 }
 
-currentTabId = tabs[0].id;
-console.log('Starting auto-click on tab:', currentTabId);
+if (autoClickRuns[tab.id]) {
+console.log('Auto-click already running in tab:', tab.id);
+return; // Already running
+}
+
+console.log('Starting auto-click on tab:', tab.id);
 
 // Test permissions first with a simple script
 chrome.scripting.executeScript({
-target: {tabId: currentTabId},
+target: {tabId: tab.id},
 func: () => document.domain
 }).then(() => {
 // Permission granted, start clicking
-autoClickEnabled = true;
+const run = {
+  runId: `run-${Date.now()}-${tab.id}`,
+  tabId: tab.id,
+  mode: autoClickMode,
+  sweepZoom: sweepZoom,
+  counties: counties,
+  stopConditions: runStopConditions,
+  stats: { startedAt: Date.now(), newProperties: 0, lastNewAt: Date.now() },
+  pacing: createPacing(),
+  sweepState: null, // Built on the first sweep step from the current registry
+  focusCountyIndex: 0, // Next county the random refocus moves to
+  stepInProgress: false,
+  lastStepAt: Date.now(),
+  lastMarker: null // Marker clicked last, until its sale is captured: {key, clickedAt}
+};
+autoClickRuns[tab.id] = run;
+logEvent('info', 'autoclick', `Auto-click started in ${run.mode} mode`, { tabId: tab.id, runId: run.runId, counties: counties });
 
-// Start interval to click buttons
-autoClickInterval = setInterval(() => {
-if (!autoClickEnabled) {
-  clearInterval(autoClickInterval);
-  return;
-}
-
-clickNextButton(currentTabId);
-}, CLICK_DELAY);
+// Start clicking at the base pace; the watchdog alarm brings the runs back if the worker is suspended
+chrome.alarms.create(AUTO_CLICK_WATCHDOG_ALARM, { periodInMinutes: AUTO_CLICK_WATCHDOG_PERIOD });
+scheduleNextClick(run);
 }).catch(error => {
-console.error('Error starting auto-click:', error);
-autoClickEnabled = false;
+logEvent('error', 'autoclick', `Error starting auto-click: ${error.message}`, { tabId: tab.id });
 });
 });
 }
 
-// Stop the auto-click process
-function stopAutoClick() {
-if (!autoClickEnabled) {
-console.log('Auto-click not running');
+// Stop the auto-click run in a tab
+// reason is kept so the popup can show why the run ended
+function stopAutoClick(tabId, reason) {
+const run = autoClickRuns[tabId];
+if (!run) {
+console.log('Auto-click not running in tab:', tabId);
 return; // Not running
 }
 
-console.log('Stopping auto-click');
-autoClickEnabled = false;
+logEvent('info', 'autoclick', `Auto-click stopped: ${reason || 'Stopped by user'}`, { tabId: tabId, runId: run.runId, newProperties: run.stats.newProperties });
+delete autoClickRuns[tabId];
+
+lastAutoClickStop = {
+  reason: reason || 'Stopped by user',
+  stoppedAt: Date.now(),
+  tabId: tabId,
+  counties: run.counties,
+  startedAt: run.stats.startedAt,
+  newProperties: run.stats.newProperties
+};
+chrome.storage.local.set({ lastAutoClickStop: lastAutoClickStop });
+
+if (autoClickTimers[tabId]) {
+clearTimeout(autoClickTimers[tabId]);
+delete autoClickTimers[tabId];
+}
+updatePausedBadge();
+if (Object.keys(autoClickRuns).length === 0) {
+chrome.alarms.clear(AUTO_CLICK_WATCHDOG_ALARM);
+}
+
+saveAutoClickState();
+}
+
+// Function to stop every run
+function stopAllAutoClick(reason) {
+Object.keys(autoClickRuns).forEach(tabId => stopAutoClick(Number(tabId), reason));
+}
 
-if (autoClickInterval) {
-clearInterval(autoClickInterval);
-autoClickInterval = null;
+// Watchdog for the auto-click runs
+// Waking the worker is enough to resume suspended runs; a live worker whose loop went quiet gets it restarted
+chrome.alarms.onAlarm.addListener(alarm => {
+if (alarm.name === CROP_RULE_ALARM) {
+checkCropRuleDeadlines();
+return;
+}
+if (alarm.name !== AUTO_CLICK_WATCHDOG_ALARM) {
+return;
 }
 
-currentTabId = null;
+autoClickStateReady.then(() => {
+const runs = Object.values(autoClickRuns);
+if (runs.length === 0) {
+  chrome.alarms.clear(AUTO_CLICK_WATCHDOG_ALARM);
+  return;
 }
+runs.forEach(run => {
+  if (Date.now() - run.lastStepAt > AUTO_CLICK_STALL_LIMIT) {
+    logEvent('warn', 'autoclick', 'Auto-click loop went quiet, restarting it', { tabId: run.tabId, runId: run.runId });
+    clearTimeout(autoClickTimers[run.tabId]);
+    run.stepInProgress = false;
+    scheduleNextClick(run);
+  }
+});
+});
+});
 
 // Listen for messages from the popup
 chrome.runtime.onMessage.addListener(
 function(request, sender, sendResponse) {
 try {
-if (request.action === "getData") {
+if (request.action === "capturedResponse") {
+// Sent by capture-bridge.js for every courthouse-comps / cdl_stats response the page receives
+handleCapturedResponse(request.capture, sender.tab ? sender.tab.id : null);
+sendResponse({status: "received"});
+} else if (request.action === "getData") {
 sendResponse({data: collectedData || []});
+} else if (request.action === "getPropertyRetryStatus") {
+sendResponse(getPropertyRetryStatus());
+} else if (request.action === "retryFailedFetches") {
+const count = retryAllFailedFetches();
+sendResponse({status: "retrying", count: count, ...getPropertyRetryStatus()});
+} else if (request.action === "clearFailedFetches") {
+deadLetterFetches = [];
+savePropertyRetryWork();
+sendResponse(getPropertyRetryStatus());
+} else if (request.action === "startCropBackfill") {
+startCropBackfill();
+sendResponse(getCropBackfillStatus());
+} else if (request.action === "stopCropBackfill") {
+stopCropBackfill();
+sendResponse(getCropBackfillStatus());
+} else if (request.action === "getCropBackfillStatus") {
+sendResponse(getCropBackfillStatus());
+} else if (request.action === "getValidationReport") {
+sendResponse(getValidationReport());
+} else if (request.action === "saveValidationSettings") {
+saveValidationSettings(request.settings);
+sendResponse(getValidationReport());
+} else if (request.action === "getMarketStats") {
+sendResponse(getMarketStats(request.filters));
+} else if (request.action === "getRecordDetails") {
+// One record with the courthouse-comps response it was derived from, for the explorer page
+const record = collectedData.find(item => String(item.id) === String(request.id));
+if (!record) {
+  throw new Error('Record not found');
+}
+sendResponse({record: record, rawPayload: rawPayloads[record.id] || null});
 } else if (request.action === "downloadCSV") {
-const result = downloadCSV();
+if (request.profile) {
+  activeExportProfile = getExportProfile(request.profile).name;
+  chrome.storage.local.set({ activeExportProfile: activeExportProfile });
+}
+const result = downloadCSV(activeExportProfile);
 sendResponse(result);
+} else if (request.action === "getFieldMappings") {
+sendResponse({
+  builtIn: PROPERTY_FIELD_MAPPING,
+  custom: customFieldMappings,
+  payloadPaths: getPayloadPaths(),
+  storedPayloads: Object.keys(rawPayloads).length
+});
+} else if (request.action === "saveFieldMappings") {
+const result = saveFieldMappings(request.mappings || []);
+sendResponse({status: "saved", custom: customFieldMappings, ...result});
+} else if (request.action === "reprojectRecords") {
+sendResponse({status: "reprojected", ...reprojectAllRecords()});
+} else if (request.action === "downloadCropsCSV") {
+sendResponse(downloadCropsCSV(request.layout, request.profile));
+} else if (request.action === "getExportProfiles") {
+sendResponse({profiles: getExportProfiles(), active: activeExportProfile, fields: getExportFields()});
+} else if (request.action === "saveExportProfile") {
+const profile = saveExportProfile(request.profile || {}, request.previousName);
+sendResponse({status: "saved", profile: profile, profiles: getExportProfiles()});
+} else if (request.action === "deleteExportProfile") {
+deleteExportProfile(request.name);
+sendResponse({status: "deleted", profiles: getExportProfiles()});
+} else if (request.action === "downloadGeoJSON") {
+sendResponse(downloadGeoJSON());
+} else if (request.action === "downloadKML") {
+sendResponse(downloadKML());
+} else if (request.action === "downloadXLSX") {
+sendResponse(downloadXLSX());
 } else if (request.action === "clearData") {
-collectedData = [];
-collectedIds.clear();
-cropDataStore = {};
-cropRequestBodies = {};
-pendingCropRequests.clear();
-chrome.storage.local.remove(["collectedData", "collectedIds", "cropDataStore"], function() {
-  console.log("Data cleared from storage");
-  chrome.action.setBadgeText({text: ""});
-  sendResponse({status: "cleared"});
+// Clears the active session only; its export history is kept
+ensureSessionLoaded();
+dropPendingCropWork();
+applySessionData({ exportHistory: exportHistory });
+rawPayloadsChanged = true;
+saveDataToStorage();
+console.log("Data cleared from storage");
+sendResponse({status: "cleared"});
+} else if (request.action === "downloadJSONBackup") {
+sendResponse(downloadJSONBackup());
+} else if (request.action === "downloadSQLite") {
+downloadSQLite(sendResponse);
+return true; // Will call sendResponse asynchronously
+} else if (request.action === "importExport") {
+sendResponse({status: "imported", ...importExportFile(request.text, request.filename, request.loadRows)});
+} else if (request.action === "getSessions") {
+sendResponse(getSessionsSummary());
+} else if (request.action === "createSession") {
+createSession(request.name, function() {
+  sendResponse(getSessionsSummary());
+});
+return true; // Will call sendResponse asynchronously
+} else if (request.action === "switchSession") {
+switchSession(request.sessionId, function() {
+  sendResponse(getSessionsSummary());
 });
 return true; // Will call sendResponse asynchronously
+} else if (request.action === "renameSession") {
+renameSession(request.sessionId, request.name);
+sendResponse(getSessionsSummary());
+} else if (request.action === "archiveSession") {
+archiveSession(request.sessionId, request.archived);
+sendResponse(getSessionsSummary());
+} else if (request.action === "deleteSession") {
+deleteSession(request.sessionId);
+sendResponse(getSessionsSummary());
 } 
 // Add these new action handlers
 else if (request.action === "startAutoClick") {
-startAutoClick();
+startAutoClick({
+  tabId: request.tabId,
+  counties: request.counties,
+  mode: request.mode,
+  sweepZoom: request.sweepZoom,
+  stopConditions: request.stopConditions
+});
 sendResponse({status: "autoClickStarted"});
 } else if (request.action === "stopAutoClick") {
-stopAutoClick();
+// Without a tab id every run is stopped
+if (request.tabId) {
+  stopAutoClick(request.tabId);
+} else {
+  stopAllAutoClick();
+}
 sendResponse({status: "autoClickStopped"});
+} else if (request.action === "getCropMatchStatus") {
+sendResponse({
+  ambiguous: ambiguousCropMatches,
+  unmatchedResults: Object.keys(cropDataStore).length,
+  flaggedProperties: collectedData.filter(item => item.crop_match_status === 'ambiguous').length,
+  lowConfidenceProperties: collectedData.filter(item => item.crop_match_status === 'low_confidence').length
+});
 } else if (request.action === "getAutoClickStatus") {
-sendResponse({autoClickEnabled: autoClickEnabled});
+// A freshly woken worker may still be resuming the runs
+autoClickStateReady.then(() => sendResponse({
+  autoClickEnabled: Object.keys(autoClickRuns).length > 0,
+  mode: autoClickMode,
+  sweepZoom: sweepZoom,
+  stopConditions: stopConditions,
+  runs: getRunsSummary(),
+  lastStop: lastAutoClickStop
+}));
+return true; // Will call sendResponse asynchronously
+} else if (request.action === "getSweepProgress") {
+sendResponse({coverage: getSweepCoverage()});
+} else if (request.action === "resetSweepProgress") {
+sweepProgress = {};
+Object.values(autoClickRuns).forEach(run => {
+  run.sweepState = null;
+});
+saveSweepProgress();
+sendResponse({status: "reset", coverage: getSweepCoverage()});
+} else if (request.action === "getActivityLog") {
+sendResponse(getActivityLog(request.filters));
+} else if (request.action === "downloadActivityLog") {
+sendResponse(downloadActivityLog(request.filters));
+} else if (request.action === "clearActivityLog") {
+activityLog = [];
+chrome.storage.local.set({ activityLog: activityLog });
+sendResponse({status: "cleared"});
+} else if (request.action === "logEvent") {
+// Messages from the extension pages, e.g. the popup's debug lines
+logEvent(LOG_LEVELS.includes(request.level) ? request.level : 'info', request.category || 'popup', String(request.message || ''));
+sendResponse({status: "logged"});
+} else if (request.action === "resetMarkerRegistry") {
+// Every marker of the active session becomes clickable again, and the county rotation starts over
+const summary = getMarkerRegistrySummary();
+markerRegistry = {};
+Object.values(autoClickRuns).forEach(run => {
+  run.lastMarker = null;
+  run.focusCountyIndex = 0;
+});
+saveDataToStorage();
+saveAutoClickState();
+sendResponse({status: "reset", cleared: summary});
+} else if (request.action === "getTargetCounties") {
+sendResponse({counties: targetCounties});
+} else if (request.action === "saveTargetCounties") {
+const counties = saveTargetCounties(request.counties || []);
+sendResponse({status: "saved", counties: counties});
+} else if (request.action === "resetTargetCounties") {
+const counties = saveTargetCounties(DEFAULT_TARGET_COUNTIES);
+sendResponse({status: "saved", counties: counties});
+} else if (request.action === "getFilterRules") {
+sendResponse({rules: filterRules, stats: filterStats});
+} else if (request.action === "saveFilterRules") {
+const rules = saveFilterRules(request.rules || {});
+sendResponse({status: "saved", rules: rules});
+} else if (request.action === "resetFilterStats") {
+filterStats = { capture: {}, export: {}, exportTotal: 0, exportedAt: null };
+captureFilteredIds.clear();
+chrome.storage.local.set({ filterStats: filterStats });
+sendResponse({status: "reset", stats: filterStats});
 }
 } catch (error) {
-console.error('Error handling message:', error);
+logEvent('error', 'error', `Error handling ${request.action}: ${error.message}`);
 sendResponse({error: error.message});
 }
 }
@@ -1376,18 +5380,30 @@ sendResponse({error: error.message});
 
 // Listen for tab events to manage auto-clicking
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-// If the current auto-click tab has been updated and is no longer on acres.com
-if (autoClickEnabled && currentTabId === tabId && changeInfo.url && !changeInfo.url.includes('acres.com')) {
-stopAutoClick();
+// If an auto-click tab has been updated and is no longer on acres.com
+if (autoClickRuns[tabId] && changeInfo.url && !changeInfo.url.includes('acres.com')) {
+stopAutoClick(tabId, 'The tab left acres.com');
 }
 });
 
 chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
-// If the current auto-click tab has been closed
-if (autoClickEnabled && currentTabId === tabId) {
-stopAutoClick();
+// If an auto-click tab has been closed
+if (autoClickRuns[tabId]) {
+stopAutoClick(tabId, 'The acres.com tab was closed');
 }
 });
 
 // Load any saved data when the extension starts
-loadSavedData();
\ No newline at end of file
+loadActivityLog();
+loadSavedData();
+loadTargetCounties();
+loadSweepProgress();
+loadExportProfiles();
+loadFieldMappings();
+loadFilterRules();
+loadValidationSettings();
+loadStopConditions();
+restorePendingCropWork();
+restorePropertyRetryWork();
+loadCountyBoundaries();
+autoClickStateReady = new Promise(resolve => restoreAutoClickState(resolve));
\ No newline at end of file
@@ -0,0 +1,19 @@
+// capture-bridge.js - Content script that forwards responses captured by capture-page.js
+// capture-page.js runs in the page's world and can't reach the extension APIs, so it posts
+// window messages that this script relays to the background worker.
+window.addEventListener('message', function(event) {
+  if (event.source !== window || !event.data || event.data.source !== 'acres-data-extractor') {
+    return;
+  }
+
+  try {
+    chrome.runtime.sendMessage({action: "capturedResponse", capture: event.data.capture}, function() {
+      if (chrome.runtime.lastError) {
+        console.error('Error forwarding captured response:', chrome.runtime.lastError.message);
+      }
+    });
+  } catch (error) {
+    // The extension was reloaded or removed - the page needs a refresh to reconnect
+    console.error('Error forwarding captured response:', error.message);
+  }
+});
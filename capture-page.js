@@ -0,0 +1,171 @@
+// capture-page.js - Runs in the page's own JavaScript world on acres.com
+// Hooks window.fetch and XMLHttpRequest so the courthouse-comps and cdl_stats responses the page
+// receives can be handed to the extension, instead of the extension requesting them again.
+// capture-bridge.js picks the posted messages up and forwards them to the background worker.
+(function() {
+  if (window.__acresDataExtractorCapture) {
+    return; // Already installed
+  }
+  window.__acresDataExtractorCapture = true;
+
+  const MESSAGE_SOURCE = 'acres-data-extractor';
+  let requestCounter = 0;
+
+  // Work out whether a request is one we capture: 'property', 'crop' or null
+  function classifyRequest(url, method) {
+    if (method === 'GET' && url.includes('acres.com/courthouse-comps/')) {
+      return 'property';
+    }
+    if (method === 'POST' && url.includes('acres.com/geoserver/cdl_stats/latest')) {
+      return 'crop';
+    }
+    return null;
+  }
+
+  // Resolve relative URLs against the page
+  function resolveUrl(url) {
+    try {
+      return new URL(url, window.location.href).href;
+    } catch (e) {
+      return String(url);
+    }
+  }
+
+  function parseJson(text) {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Hand a captured response to the bridge script
+  function postCapture(capture) {
+    window.postMessage({ source: MESSAGE_SOURCE, capture: capture }, window.location.origin);
+  }
+
+  // Wrap fetch
+  const originalFetch = window.fetch;
+  if (typeof originalFetch === 'function') {
+    window.fetch = function(input, init) {
+      let url;
+      let method;
+      try {
+        url = resolveUrl(typeof input === 'string' || input instanceof URL ? input : input.url);
+        method = String((init && init.method) || (input && input.method) || 'GET').toUpperCase();
+      } catch (e) {
+        return originalFetch.apply(this, arguments);
+      }
+
+      const kind = classifyRequest(url, method);
+      if (!kind) {
+        return originalFetch.apply(this, arguments);
+      }
+
+      const requestNumber = ++requestCounter;
+      const startedAt = Date.now();
+
+      // The body is either in init or inside a Request object
+      let bodyPromise = Promise.resolve(null);
+      if (init && typeof init.body === 'string') {
+        bodyPromise = Promise.resolve(init.body);
+      } else if (typeof Request !== 'undefined' && input instanceof Request && !(init && init.body)) {
+        bodyPromise = input.clone().text().catch(() => null);
+      }
+
+      const responsePromise = originalFetch.apply(this, arguments);
+
+      responsePromise.then(response => {
+        const duration = Date.now() - startedAt;
+        Promise.all([bodyPromise, response.clone().text().catch(() => '')]).then(([requestBody, text]) => {
+          postCapture({
+            kind: kind,
+            url: url,
+            method: method,
+            requestNumber: requestNumber,
+            startedAt: startedAt,
+            duration: duration,
+            status: response.status,
+            ok: response.ok,
+            requestBody: requestBody,
+            body: parseJson(text)
+          });
+        });
+      }, error => {
+        bodyPromise.then(requestBody => {
+          postCapture({
+            kind: kind,
+            url: url,
+            method: method,
+            requestNumber: requestNumber,
+            startedAt: startedAt,
+            duration: Date.now() - startedAt,
+            status: 0,
+            ok: false,
+            requestBody: requestBody,
+            body: null,
+            error: error && error.message ? error.message : String(error)
+          });
+        });
+      });
+
+      return responsePromise;
+    };
+  }
+
+  // Wrap XMLHttpRequest
+  const originalOpen = XMLHttpRequest.prototype.open;
+  const originalSend = XMLHttpRequest.prototype.send;
+
+  XMLHttpRequest.prototype.open = function(method, url) {
+    try {
+      this.__acresCapture = {
+        method: String(method || 'GET').toUpperCase(),
+        url: resolveUrl(url)
+      };
+    } catch (e) {
+      this.__acresCapture = null;
+    }
+    return originalOpen.apply(this, arguments);
+  };
+
+  XMLHttpRequest.prototype.send = function(body) {
+    const info = this.__acresCapture;
+    const kind = info ? classifyRequest(info.url, info.method) : null;
+
+    if (kind) {
+      const xhr = this;
+      const requestNumber = ++requestCounter;
+      const startedAt = Date.now();
+
+      xhr.addEventListener('loadend', function() {
+        let data = null;
+        try {
+          if (xhr.responseType === '' || xhr.responseType === 'text') {
+            data = parseJson(xhr.responseText);
+          } else if (xhr.responseType === 'json') {
+            data = xhr.response;
+          }
+        } catch (e) {
+          data = null;
+        }
+
+        postCapture({
+          kind: kind,
+          url: info.url,
+          method: info.method,
+          requestNumber: requestNumber,
+          startedAt: startedAt,
+          duration: Date.now() - startedAt,
+          status: xhr.status,
+          ok: xhr.status >= 200 && xhr.status < 300,
+          requestBody: typeof body === 'string' ? body : null,
+          body: data,
+          error: xhr.status === 0 ? 'Network error' : undefined
+        });
+      });
+    }
+
+    return originalSend.apply(this, arguments);
+  };
+})();
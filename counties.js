@@ -0,0 +1,105 @@
+// counties.js - Offline US county lookup for the service worker
+// Decodes the bundled us-counties.json (us-atlas 3.0.1 counties-10m, a TopoJSON conversion of the
+// Census Bureau's 1:10,000,000 cartographic boundaries, ISC license) and finds the county containing a point
+
+// Helper function to decode the quantized, delta-encoded arcs into [lng, lat] points
+function decodeArcs(topology) {
+  const [scaleX, scaleY] = topology.transform.scale;
+  const [translateX, translateY] = topology.transform.translate;
+  return topology.arcs.map(arc => {
+    let x = 0;
+    let y = 0;
+    return arc.map(([dx, dy]) => {
+      x += dx;
+      y += dy;
+      return [x * scaleX + translateX, y * scaleY + translateY];
+    });
+  });
+}
+
+// Helper function to join a ring's arcs into one closed list of points
+// A negative index (~i) means arc i is walked backwards
+function buildRing(arcIndexes, arcs) {
+  const points = [];
+  arcIndexes.forEach((index, position) => {
+    const arc = index < 0 ? arcs[~index].slice().reverse() : arcs[index];
+    // Consecutive arcs share their joining point
+    points.push(...(position === 0 ? arc : arc.slice(1)));
+  });
+  return points;
+}
+
+// Helper function to check whether a point lies inside a ring (ray casting)
+function isInsideRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Function to build the lookup index from the bundled topology
+// Returns {counties: [{fips, name, stateFips, stateName, bbox, rings}], byFips: {fips: county}}
+export function createCountyIndex(topology) {
+  const arcs = decodeArcs(topology);
+  
+  const stateNames = {};
+  topology.objects.states.geometries.forEach(state => {
+    stateNames[state.id] = state.properties.name;
+  });
+  
+  const counties = topology.objects.counties.geometries.map(geometry => {
+    const polygons = geometry.type === 'Polygon' ? [geometry.arcs] : geometry.arcs;
+    const rings = [];
+    polygons.forEach(polygon => {
+      polygon.forEach(ring => rings.push(buildRing(ring, arcs)));
+    });
+    
+    // Bounding box first, so most counties are ruled out without the ring test
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    rings.forEach(ring => {
+      ring.forEach(([lng, lat]) => {
+        bbox[0] = Math.min(bbox[0], lng);
+        bbox[1] = Math.min(bbox[1], lat);
+        bbox[2] = Math.max(bbox[2], lng);
+        bbox[3] = Math.max(bbox[3], lat);
+      });
+    });
+    
+    const stateFips = geometry.id.slice(0, 2);
+    return {
+      fips: geometry.id,
+      name: geometry.properties.name,
+      stateFips: stateFips,
+      stateName: stateNames[stateFips] || '',
+      bbox: bbox,
+      rings: rings
+    };
+  });
+  
+  const byFips = {};
+  counties.forEach(county => {
+    byFips[county.fips] = county;
+  });
+  return { counties: counties, byFips: byFips };
+}
+
+// Function to find the county containing a point, or null when it's outside every county
+// Holes and multi-part counties are handled by counting crossings over all of a county's rings
+export function findCountyAt(index, lng, lat) {
+  for (const county of index.counties) {
+    const [west, south, east, north] = county.bbox;
+    if (lng < west || lng > east || lat < south || lat > north) {
+      continue;
+    }
+    const crossings = county.rings.filter(ring => isInsideRing(lng, lat, ring)).length;
+    if (crossings % 2 === 1) {
+      return county;
+    }
+  }
+  return null;
+}
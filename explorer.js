@@ -0,0 +1,463 @@
+// explorer.js - Full-page view of the collected records: table, map, record details and validation report
+document.addEventListener('DOMContentLoaded', function() {
+  const searchFilter = document.getElementById('searchFilter');
+  const countyFilter = document.getElementById('countyFilter');
+  const cropStatusFilter = document.getElementById('cropStatusFilter');
+  const coordinatesFilter = document.getElementById('coordinatesFilter');
+  const validationFilter = document.getElementById('validationFilter');
+  const validationSummaryElement = document.getElementById('validationSummary');
+  const validationExcludeSelect = document.getElementById('validationExclude');
+  const saveValidationBtn = document.getElementById('saveValidationBtn');
+  const refreshBtn = document.getElementById('refreshBtn');
+  const explorerStatusElement = document.getElementById('explorerStatus');
+  const recordHeadElement = document.getElementById('recordHead');
+  const recordRowsElement = document.getElementById('recordRows');
+  const prevPageBtn = document.getElementById('prevPageBtn');
+  const nextPageBtn = document.getElementById('nextPageBtn');
+  const pageInfoElement = document.getElementById('pageInfo');
+  const mapCanvas = document.getElementById('map');
+  const recordDetailsElement = document.getElementById('recordDetails');
+
+  // Columns shown in the table; every field is listed in the details
+  const TABLE_COLUMNS = [
+    'Document_num',
+    'County_fipscode',
+    'County_name',
+    'Sales_date',
+    'Sales_amount',
+    'Sold_acre',
+    'price_per_acre',
+    'longitude',
+    'latitude',
+    'crop1',
+    'crop_ac1',
+    'crop_match_status',
+    'captured_at'
+  ];
+  const PAGE_SIZE = 200; // Table rows rendered at once
+  const MAP_PADDING = 12; // Pixels kept free around the plotted sales
+  const MAP_HIT_RADIUS = 6; // How close (px) a click must land to a dot
+  const VALIDATION_LABELS = {
+    missing_field: 'missing required fields',
+    missing_coordinates: 'no coordinates',
+    invalid_value: 'impossible values',
+    price_outlier: 'price/acre outliers',
+    missing_crops: 'no crop data',
+    crop_acres_mismatch: 'crop acres off Sold_acre',
+    fips_mismatch: 'FIPS off the location'
+  };
+
+  let records = []; // Every record of the active session
+  let validationIssues = {}; // Data-quality problems by record id, from the validation report
+  let filteredRecords = []; // Records passing the filters, in table order
+  let sortColumn = 'captured_at';
+  let sortDescending = true;
+  let page = 0;
+  let selectedId = null;
+  let mapPoints = []; // Where each plotted record was drawn: [{x, y, record}]
+
+  // Show a status line above the table
+  function showStatus(message, isError) {
+    explorerStatusElement.textContent = message;
+    explorerStatusElement.style.color = isError ? '#f44336' : '#4CAF50';
+  }
+
+  // Helper to format a value for display
+  function formatValue(column, value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    if (column === 'captured_at' && value) {
+      return new Date(value).toLocaleString();
+    }
+    if (typeof value === 'object') {
+      return JSON.stringify(value);
+    }
+    return String(value);
+  }
+
+  // Helper to read a record's coordinates, or null when it has none
+  function getCoordinates(record) {
+    const lng = parseFloat(record.longitude);
+    const lat = parseFloat(record.latitude);
+    if (isNaN(lng) || isNaN(lat)) {
+      return null;
+    }
+    return { lng: lng, lat: lat };
+  }
+
+  // Refill a filter select from the values found in the records
+  function fillSelect(select, values) {
+    const current = select.value;
+    select.innerHTML = '';
+    ['', ...values].forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value || 'All';
+      select.appendChild(option);
+    });
+    select.value = values.includes(current) ? current : '';
+  }
+
+  // Compare two cell values, numerically when both are numbers (dates like 2023-05-01 compare as text)
+  function compareValues(a, b) {
+    const textA = a === null || a === undefined ? '' : String(a);
+    const textB = b === null || b === undefined ? '' : String(b);
+    const numberA = textA === '' ? NaN : Number(textA);
+    const numberB = textB === '' ? NaN : Number(textB);
+    if (!isNaN(numberA) && !isNaN(numberB)) {
+      return numberA - numberB;
+    }
+    return textA.localeCompare(textB);
+  }
+
+  // Apply the filters, search and sort order
+  function applyFilters() {
+    const search = searchFilter.value.trim().toLowerCase();
+    const county = countyFilter.value;
+    const cropStatus = cropStatusFilter.value;
+    const coordinates = coordinatesFilter.value;
+    const validation = validationFilter.value;
+
+    filteredRecords = records.filter(record => {
+      if (county && String(record.County_fipscode) !== county) {
+        return false;
+      }
+      if (cropStatus && record.crop_match_status !== cropStatus) {
+        return false;
+      }
+      if (coordinates && (getCoordinates(record) !== null) !== (coordinates === 'yes')) {
+        return false;
+      }
+      if (validation && !matchesValidationFilter(validationIssues[record.id], validation)) {
+        return false;
+      }
+      if (search && !Object.keys(record).some(key => formatValue(key, record[key]).toLowerCase().includes(search))) {
+        return false;
+      }
+      return true;
+    });
+
+    filteredRecords.sort((a, b) => {
+      const order = compareValues(a[sortColumn], b[sortColumn]);
+      return sortDescending ? -order : order;
+    });
+
+    page = Math.min(page, Math.max(Math.ceil(filteredRecords.length / PAGE_SIZE) - 1, 0));
+    renderTable();
+    drawMap();
+    showStatus(`${filteredRecords.length} of ${records.length} records`, false);
+  }
+
+  // Render the column headers with the sort indicator
+  function renderHead() {
+    recordHeadElement.innerHTML = '';
+    const row = document.createElement('tr');
+    TABLE_COLUMNS.forEach(column => {
+      const cell = document.createElement('th');
+      cell.textContent = column + (column === sortColumn ? (sortDescending ? ' ▼' : ' ▲') : '');
+      cell.addEventListener('click', function() {
+        if (sortColumn === column) {
+          sortDescending = !sortDescending;
+        } else {
+          sortColumn = column;
+          sortDescending = false;
+        }
+        renderHead();
+        applyFilters();
+      });
+      row.appendChild(cell);
+    });
+    recordHeadElement.appendChild(row);
+  }
+
+  // Render the current page of the table
+  function renderTable() {
+    recordRowsElement.innerHTML = '';
+    const start = page * PAGE_SIZE;
+    filteredRecords.slice(start, start + PAGE_SIZE).forEach(record => {
+      const row = document.createElement('tr');
+      if (record.id === selectedId) {
+        row.className = 'selected';
+      } else if (validationIssues[record.id]) {
+        row.className = 'flagged';
+      }
+      TABLE_COLUMNS.forEach(column => {
+        const cell = document.createElement('td');
+        cell.textContent = formatValue(column, record[column]);
+        row.appendChild(cell);
+      });
+      row.addEventListener('click', function() {
+        selectRecord(record.id);
+      });
+      recordRowsElement.appendChild(row);
+    });
+
+    const pages = Math.max(Math.ceil(filteredRecords.length / PAGE_SIZE), 1);
+    pageInfoElement.textContent = `Page ${page + 1} of ${pages}`;
+    prevPageBtn.disabled = page === 0;
+    nextPageBtn.disabled = page >= pages - 1;
+  }
+
+  // Helper to convert latitude to a Web Mercator y value, so the plot has the usual map proportions
+  function latToMercator(lat) {
+    const sin = Math.sin(lat * Math.PI / 180);
+    return Math.log((1 + sin) / (1 - sin)) / 2;
+  }
+
+  // Plot the filtered records that have coordinates
+  function drawMap() {
+    const context = mapCanvas.getContext('2d');
+    context.clearRect(0, 0, mapCanvas.width, mapCanvas.height);
+    mapPoints = [];
+
+    const located = filteredRecords.map(record => ({ record: record, coordinates: getCoordinates(record) }))
+      .filter(entry => entry.coordinates);
+    if (located.length === 0) {
+      context.fillStyle = '#888';
+      context.font = '13px Arial';
+      context.fillText('No records with coordinates', MAP_PADDING, mapCanvas.height / 2);
+      return;
+    }
+
+    const xs = located.map(entry => entry.coordinates.lng);
+    const ys = located.map(entry => latToMercator(entry.coordinates.lat));
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const spanX = Math.max(Math.max(...xs) - minX, 1e-6);
+    const spanY = Math.max(Math.max(...ys) - minY, 1e-6);
+
+    // One scale for both axes keeps the shapes undistorted
+    const width = mapCanvas.width - MAP_PADDING * 2;
+    const height = mapCanvas.height - MAP_PADDING * 2;
+    const scale = Math.min(width / spanX, height / spanY);
+    const offsetX = MAP_PADDING + (width - spanX * scale) / 2;
+    const offsetY = MAP_PADDING + (height - spanY * scale) / 2;
+
+    let selectedPoint = null;
+    located.forEach((entry, index) => {
+      const point = {
+        x: offsetX + (xs[index] - minX) * scale,
+        y: mapCanvas.height - (offsetY + (ys[index] - minY) * scale),
+        record: entry.record
+      };
+      mapPoints.push(point);
+      if (entry.record.id === selectedId) {
+        selectedPoint = point;
+        return;
+      }
+
+      context.fillStyle = entry.record.crop_match_status === 'matched' ? '#4CAF50' : '#ff9800';
+      context.beginPath();
+      context.arc(point.x, point.y, 3, 0, Math.PI * 2);
+      context.fill();
+    });
+
+    // Draw the selected sale last so it stays on top
+    if (selectedPoint) {
+      context.fillStyle = '#f44336';
+      context.beginPath();
+      context.arc(selectedPoint.x, selectedPoint.y, 6, 0, Math.PI * 2);
+      context.fill();
+    }
+
+    context.fillStyle = '#555';
+    context.font = '11px Arial';
+    context.fillText(`${located.length} sales plotted (green: crops matched)`, MAP_PADDING, mapCanvas.height - 4);
+  }
+
+  // Add a two-column row to a details table
+  function addDetailRow(table, label, value) {
+    const row = document.createElement('tr');
+    const labelCell = document.createElement('th');
+    labelCell.textContent = label;
+    const valueCell = document.createElement('td');
+    valueCell.textContent = value;
+    row.appendChild(labelCell);
+    row.appendChild(valueCell);
+    table.appendChild(row);
+  }
+
+  // Show a record's validation problems, fields, crop breakdown and raw payload
+  function renderDetails(record, rawPayload) {
+    recordDetailsElement.innerHTML = '';
+
+    (validationIssues[record.id] || []).forEach(issue => {
+      const line = document.createElement('div');
+      line.className = 'issue-' + issue.severity;
+      line.textContent = `${issue.severity === 'error' ? 'Error' : 'Warning'}: ${issue.message}`;
+      recordDetailsElement.appendChild(line);
+    });
+
+    const fieldsTable = document.createElement('table');
+    Object.keys(record).filter(key => key !== 'crop_distribution').forEach(key => {
+      addDetailRow(fieldsTable, key, formatValue(key, record[key]));
+    });
+    recordDetailsElement.appendChild(fieldsTable);
+
+    const cropHeading = document.createElement('h3');
+    cropHeading.textContent = 'Crop breakdown';
+    recordDetailsElement.appendChild(cropHeading);
+    const distribution = Array.isArray(record.crop_distribution) ? record.crop_distribution : [];
+    if (distribution.length === 0) {
+      const none = document.createElement('div');
+      none.textContent = 'No crop data for this sale';
+      recordDetailsElement.appendChild(none);
+    } else {
+      const cropTable = document.createElement('table');
+      addDetailRow(cropTable, 'Crop', 'Share / acres');
+      distribution.forEach(entry => {
+        const acres = entry.acres === undefined || entry.acres === null ? '' : `, ${entry.acres} ac`;
+        addDetailRow(cropTable, entry.label, `${(entry.fraction * 100).toFixed(1)}%${acres}`);
+      });
+      recordDetailsElement.appendChild(cropTable);
+    }
+
+    const rawHeading = document.createElement('h3');
+    rawHeading.textContent = 'Raw payload';
+    recordDetailsElement.appendChild(rawHeading);
+    const raw = document.createElement('pre');
+    raw.textContent = rawPayload ? JSON.stringify(rawPayload, null, 2) : 'No raw payload stored (imported or older record)';
+    recordDetailsElement.appendChild(raw);
+  }
+
+  // Select a record in the table and on the map, and load its details
+  function selectRecord(id) {
+    selectedId = id;
+    renderTable();
+    drawMap();
+
+    chrome.runtime.sendMessage({action: "getRecordDetails", id: id}, function(response) {
+      if (chrome.runtime.lastError) {
+        showStatus('Error: ' + chrome.runtime.lastError.message, true);
+        return;
+      }
+
+      if (response && response.error) {
+        showStatus('Error: ' + response.error, true);
+        return;
+      }
+
+      renderDetails(response.record, response.rawPayload);
+    });
+  }
+
+  // Helper to check a record's problems against the validation filter
+  function matchesValidationFilter(issues, filter) {
+    if (filter === 'clean') {
+      return !issues;
+    }
+    if (filter === 'errors') {
+      return !!issues && issues.some(issue => issue.severity === 'error');
+    }
+    return !!issues;
+  }
+
+  // Show the validation report summary
+  function renderValidation(report) {
+    validationIssues = report.issues || {};
+    validationExcludeSelect.value = report.settings.exclude;
+
+    if (report.flagged === 0) {
+      validationSummaryElement.textContent = `All ${report.total} records pass`;
+      return;
+    }
+    const problems = Object.keys(report.counts)
+      .map(code => `${VALIDATION_LABELS[code] || code} ${report.counts[code]}`)
+      .join(', ');
+    const excluded = report.excluded > 0 ? `; ${report.excluded} left out of exports` : '';
+    validationSummaryElement.textContent = `${report.flagged} of ${report.total} records flagged, ` +
+      `${report.withErrors} with errors (${problems})${excluded}`;
+  }
+
+  // Load the records of the active session from the background worker
+  function loadRecords() {
+    chrome.runtime.sendMessage({action: "getData"}, function(response) {
+      if (chrome.runtime.lastError) {
+        showStatus('Error: ' + chrome.runtime.lastError.message, true);
+        return;
+      }
+
+      records = response && response.data ? response.data : [];
+      const counties = Array.from(new Set(records.map(record => String(record.County_fipscode || '')).filter(Boolean))).sort();
+      const cropStatuses = Array.from(new Set(records.map(record => record.crop_match_status).filter(Boolean))).sort();
+      fillSelect(countyFilter, counties);
+      fillSelect(cropStatusFilter, cropStatuses);
+
+      // The report belongs to the same records, so the table waits for it
+      chrome.runtime.sendMessage({action: "getValidationReport"}, function(report) {
+        if (chrome.runtime.lastError) {
+          showStatus('Error: ' + chrome.runtime.lastError.message, true);
+          return;
+        }
+
+        renderValidation(report);
+        applyFilters();
+      });
+    });
+  }
+
+  mapCanvas.addEventListener('click', function(event) {
+    const rect = mapCanvas.getBoundingClientRect();
+    const x = (event.clientX - rect.left) * (mapCanvas.width / rect.width);
+    const y = (event.clientY - rect.top) * (mapCanvas.height / rect.height);
+
+    let nearest = null;
+    let nearestDistance = MAP_HIT_RADIUS;
+    mapPoints.forEach(point => {
+      const distance = Math.sqrt(Math.pow(point.x - x, 2) + Math.pow(point.y - y, 2));
+      if (distance <= nearestDistance) {
+        nearest = point;
+        nearestDistance = distance;
+      }
+    });
+
+    if (nearest) {
+      // Show the table page the sale is on
+      page = Math.floor(filteredRecords.indexOf(nearest.record) / PAGE_SIZE);
+      selectRecord(nearest.record.id);
+    }
+  });
+
+  [countyFilter, cropStatusFilter, coordinatesFilter, validationFilter].forEach(select => {
+    select.addEventListener('change', function() {
+      page = 0;
+      applyFilters();
+    });
+  });
+  searchFilter.addEventListener('input', function() {
+    page = 0;
+    applyFilters();
+  });
+
+  prevPageBtn.addEventListener('click', function() {
+    page = Math.max(page - 1, 0);
+    renderTable();
+  });
+  nextPageBtn.addEventListener('click', function() {
+    page++;
+    renderTable();
+  });
+
+  refreshBtn.addEventListener('click', loadRecords);
+
+  saveValidationBtn.addEventListener('click', function() {
+    chrome.runtime.sendMessage({action: "saveValidationSettings", settings: {exclude: validationExcludeSelect.value}}, function(response) {
+      if (chrome.runtime.lastError) {
+        showStatus('Error: ' + chrome.runtime.lastError.message, true);
+        return;
+      }
+
+      if (response && response.error) {
+        showStatus('Error: ' + response.error, true);
+        return;
+      }
+
+      renderValidation(response);
+      showStatus('Validation setting saved', false);
+    });
+  });
+
+  renderHead();
+  loadRecords();
+});
@@ -0,0 +1,143 @@
+// log.js - Activity log viewer for the extension
+document.addEventListener('DOMContentLoaded', function() {
+  const levelFilter = document.getElementById('levelFilter');
+  const categoryFilter = document.getElementById('categoryFilter');
+  const sessionFilter = document.getElementById('sessionFilter');
+  const tabFilter = document.getElementById('tabFilter');
+  const searchFilter = document.getElementById('searchFilter');
+  const autoRefreshInput = document.getElementById('autoRefresh');
+  const refreshBtn = document.getElementById('refreshBtn');
+  const exportLogBtn = document.getElementById('exportLogBtn');
+  const clearLogBtn = document.getElementById('clearLogBtn');
+  const logStatusElement = document.getElementById('logStatus');
+  const logRowsElement = document.getElementById('logRows');
+  let sessionNames = {}; // Session names by id, for the session column
+
+  // Show a status line above the table
+  function showStatus(message, isError) {
+    logStatusElement.textContent = message;
+    logStatusElement.style.color = isError ? '#f44336' : '#4CAF50';
+  }
+
+  // Read the filter inputs into the filters the background worker understands
+  function readFilters() {
+    return {
+      minLevel: levelFilter.value,
+      category: categoryFilter.value,
+      session: sessionFilter.value,
+      tabId: tabFilter.value.trim(),
+      search: searchFilter.value.trim()
+    };
+  }
+
+  // Refill a filter select, keeping the current choice when it is still offered
+  function fillSelect(select, options, allLabel) {
+    const current = select.value;
+    select.innerHTML = '';
+    [{ value: '', label: allLabel }, ...options].forEach(option => {
+      const element = document.createElement('option');
+      element.value = option.value;
+      element.textContent = option.label;
+      select.appendChild(element);
+    });
+    select.value = options.some(option => option.value === current) ? current : '';
+  }
+
+  // Add a table cell with the given text
+  function addCell(row, text, className) {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    if (className) {
+      cell.className = className;
+    }
+    row.appendChild(cell);
+  }
+
+  // Render the events, newest first
+  function renderEntries(entries) {
+    logRowsElement.innerHTML = '';
+    entries.forEach(entry => {
+      const row = document.createElement('tr');
+      row.className = entry.level;
+      addCell(row, new Date(entry.time).toLocaleString());
+      addCell(row, entry.level);
+      addCell(row, entry.category);
+      addCell(row, entry.session ? (sessionNames[entry.session] || entry.session) : '');
+      addCell(row, entry.tabId === null || entry.tabId === undefined ? '' : entry.tabId);
+      addCell(row, entry.message);
+
+      // tabId already has its own column
+      const details = { ...(entry.details || {}) };
+      delete details.tabId;
+      addCell(row, Object.keys(details).length > 0 ? JSON.stringify(details) : '', 'details');
+      logRowsElement.appendChild(row);
+    });
+  }
+
+  // Load the events matching the filters from the background worker
+  function loadLog() {
+    chrome.runtime.sendMessage({action: "getActivityLog", filters: readFilters()}, function(response) {
+      if (chrome.runtime.lastError) {
+        showStatus('Error: ' + chrome.runtime.lastError.message, true);
+        return;
+      }
+
+      sessionNames = {};
+      response.sessions.forEach(session => {
+        sessionNames[session.id] = session.name;
+      });
+      fillSelect(categoryFilter, response.categories.map(category => ({ value: category, label: category })), 'All');
+      fillSelect(sessionFilter, response.sessions.map(session => ({ value: session.id, label: session.name })), 'All');
+
+      renderEntries(response.entries);
+      const shown = response.entries.length < response.matched ? `, showing the newest ${response.entries.length}` : '';
+      showStatus(`${response.matched} of ${response.total} events match${shown} (the log keeps up to ${response.maxEntries})`, false);
+    });
+  }
+
+  [levelFilter, categoryFilter, sessionFilter].forEach(select => {
+    select.addEventListener('change', loadLog);
+  });
+  [tabFilter, searchFilter].forEach(input => {
+    input.addEventListener('input', loadLog);
+  });
+
+  refreshBtn.addEventListener('click', loadLog);
+
+  exportLogBtn.addEventListener('click', function() {
+    chrome.runtime.sendMessage({action: "downloadActivityLog", filters: readFilters()}, function(response) {
+      if (chrome.runtime.lastError) {
+        showStatus('Error: ' + chrome.runtime.lastError.message, true);
+        return;
+      }
+
+      if (response && response.status === "error") {
+        showStatus('Error: ' + response.message, true);
+      }
+    });
+  });
+
+  clearLogBtn.addEventListener('click', function() {
+    if (!confirm('Delete every event in the activity log?')) {
+      return;
+    }
+
+    chrome.runtime.sendMessage({action: "clearActivityLog"}, function() {
+      if (chrome.runtime.lastError) {
+        showStatus('Error: ' + chrome.runtime.lastError.message, true);
+        return;
+      }
+
+      loadLog();
+    });
+  });
+
+  // Keep the view current while a harvest runs
+  setInterval(function() {
+    if (autoRefreshInput.checked) {
+      loadLog();
+    }
+  }, 5000);
+
+  loadLog();
+});
@@ -0,0 +1,533 @@
+// options.js - Settings page for the extension
+document.addEventListener('DOMContentLoaded', function() {
+  const countyRowsElement = document.getElementById('countyRows');
+  const addCountyBtn = document.getElementById('addCountyBtn');
+  const saveCountiesBtn = document.getElementById('saveCountiesBtn');
+  const resetCountiesBtn = document.getElementById('resetCountiesBtn');
+  const countyStatusElement = document.getElementById('countyStatus');
+  const profileSelect = document.getElementById('profileSelect');
+  const profileNameInput = document.getElementById('profileName');
+  const profileColumnsElement = document.getElementById('profileColumns');
+  const exportFieldsElement = document.getElementById('exportFields');
+  const addColumnBtn = document.getElementById('addColumnBtn');
+  const newProfileBtn = document.getElementById('newProfileBtn');
+  const saveProfileBtn = document.getElementById('saveProfileBtn');
+  const deleteProfileBtn = document.getElementById('deleteProfileBtn');
+  const profileStatusElement = document.getElementById('profileStatus');
+  const builtInMappingsElement = document.getElementById('builtInMappings');
+  const mappingRowsElement = document.getElementById('mappingRows');
+  const payloadPathsElement = document.getElementById('payloadPaths');
+  const addMappingBtn = document.getElementById('addMappingBtn');
+  const saveMappingsBtn = document.getElementById('saveMappingsBtn');
+  const reprojectBtn = document.getElementById('reprojectBtn');
+  const mappingStatusElement = document.getElementById('mappingStatus');
+  const ruleStageSelects = document.querySelectorAll('.ruleStage');
+  const saveRulesBtn = document.getElementById('saveRulesBtn');
+  const resetRuleCountsBtn = document.getElementById('resetRuleCountsBtn');
+  const useTargetFipsBtn = document.getElementById('useTargetFipsBtn');
+  const rulesStatusElement = document.getElementById('rulesStatus');
+  const importFileInput = document.getElementById('importFile');
+  const importLoadRowsInput = document.getElementById('importLoadRows');
+  const importBtn = document.getElementById('importBtn');
+  const importStatusElement = document.getElementById('importStatus');
+  let exportProfiles = []; // Profiles as returned by the background worker
+  let editingProfileName = null; // Name the profile being edited was loaded with (null for a new one)
+
+  // Show a status line under a section
+  function showStatus(element, message, isError) {
+    element.textContent = message;
+    element.style.color = isError ? '#f44336' : '#4CAF50';
+  }
+
+  // Helper to create an input cell for an editable table row
+  function createInputCell(type, value, className) {
+    const cell = document.createElement('td');
+    const input = document.createElement('input');
+    input.type = type;
+    if (type === 'checkbox') {
+      input.checked = value;
+    } else {
+      input.value = value === null || value === undefined ? '' : value;
+    }
+    if (className) {
+      input.className = className;
+    }
+    cell.appendChild(input);
+    return cell;
+  }
+
+  // Add one editable row for a county
+  function addCountyRow(county) {
+    const row = document.createElement('tr');
+    row.appendChild(createInputCell('checkbox', county.enabled !== false));
+    row.appendChild(createInputCell('text', county.fips));
+    row.appendChild(createInputCell('text', county.name));
+    row.appendChild(createInputCell('text', county.lng));
+    row.appendChild(createInputCell('text', county.lat));
+    row.appendChild(createInputCell('text', county.zoom));
+    row.appendChild(createInputCell('text', county.bbox ? county.bbox.join(',') : '', 'wide'));
+
+    const removeCell = document.createElement('td');
+    const removeBtn = document.createElement('button');
+    removeBtn.textContent = 'Remove';
+    removeBtn.className = 'clear small';
+    removeBtn.addEventListener('click', function() {
+      row.remove();
+    });
+    removeCell.appendChild(removeBtn);
+    row.appendChild(removeCell);
+
+    countyRowsElement.appendChild(row);
+  }
+
+  // Render the whole county table
+  function renderCounties(counties) {
+    countyRowsElement.innerHTML = '';
+    counties.forEach(addCountyRow);
+  }
+
+  // Read the county table back into registry entries
+  function readCounties() {
+    return Array.from(countyRowsElement.querySelectorAll('tr')).map(row => {
+      const inputs = row.querySelectorAll('input');
+      const bboxText = inputs[6].value.trim();
+      return {
+        enabled: inputs[0].checked,
+        fips: inputs[1].value.trim(),
+        name: inputs[2].value.trim(),
+        lng: inputs[3].value.trim(),
+        lat: inputs[4].value.trim(),
+        zoom: inputs[5].value.trim(),
+        bbox: bboxText ? bboxText.split(',').map(value => value.trim()) : null
+      };
+    });
+  }
+
+  // Load the county registry from the background worker
+  function loadCounties() {
+    chrome.runtime.sendMessage({action: "getTargetCounties"}, function(response) {
+      if (chrome.runtime.lastError) {
+        showStatus(countyStatusElement, 'Error: ' + chrome.runtime.lastError.message, true);
+        return;
+      }
+
+      renderCounties(response && response.counties ? response.counties : []);
+    });
+  }
+
+  // Handle the response of a save or reset request
+  function handleCountiesSaved(response) {
+    if (chrome.runtime.lastError) {
+      showStatus(countyStatusElement, 'Error: ' + chrome.runtime.lastError.message, true);
+      return;
+    }
+
+    if (response && response.error) {
+      showStatus(countyStatusElement, 'Error: ' + response.error, true);
+      return;
+    }
+
+    renderCounties(response.counties);
+    showStatus(countyStatusElement, `Saved ${response.counties.length} counties`, false);
+  }
+
+  addCountyBtn.addEventListener('click', function() {
+    addCountyRow({ enabled: true, fips: '', name: '', lng: '', lat: '', zoom: 10, bbox: null });
+  });
+
+  saveCountiesBtn.addEventListener('click', function() {
+    chrome.runtime.sendMessage({action: "saveTargetCounties", counties: readCounties()}, handleCountiesSaved);
+  });
+
+  resetCountiesBtn.addEventListener('click', function() {
+    if (confirm('Replace the county list with the default Central Valley counties?')) {
+      chrome.runtime.sendMessage({action: "resetTargetCounties"}, handleCountiesSaved);
+    }
+  });
+
+  // Add one editable row for a profile column
+  function addProfileColumnRow(column) {
+    const row = document.createElement('tr');
+    row.appendChild(createInputCell('text', column.field));
+    row.firstChild.firstChild.setAttribute('list', 'exportFields');
+    row.appendChild(createInputCell('text', column.label));
+    row.appendChild(createInputCell('text', column.dateFormat));
+    row.appendChild(createInputCell('text', column.decimals));
+
+    const actionsCell = document.createElement('td');
+    [['Up', -1], ['Down', 1]].forEach(([label, direction]) => {
+      const moveBtn = document.createElement('button');
+      moveBtn.textContent = label;
+      moveBtn.className = 'small';
+      moveBtn.addEventListener('click', function() {
+        const sibling = direction < 0 ? row.previousElementSibling : row.nextElementSibling;
+        if (sibling && direction < 0) {
+          sibling.before(row);
+        } else if (sibling) {
+          sibling.after(row);
+        }
+      });
+      actionsCell.appendChild(moveBtn);
+    });
+    const removeBtn = document.createElement('button');
+    removeBtn.textContent = 'Remove';
+    removeBtn.className = 'clear small';
+    removeBtn.addEventListener('click', function() {
+      row.remove();
+    });
+    actionsCell.appendChild(removeBtn);
+    row.appendChild(actionsCell);
+
+    profileColumnsElement.appendChild(row);
+  }
+
+  // Show one profile in the editor
+  function showProfile(profile) {
+    editingProfileName = profile.builtIn ? null : profile.name;
+    profileNameInput.value = profile.builtIn ? '' : profile.name;
+    profileNameInput.placeholder = profile.builtIn ? 'New profile name' : '';
+    profileColumnsElement.innerHTML = '';
+    profile.columns.forEach(addProfileColumnRow);
+    deleteProfileBtn.disabled = !!profile.builtIn;
+  }
+
+  // Fill the profile picker and show the selected profile
+  function renderProfiles(profiles, selectedName) {
+    exportProfiles = profiles;
+    profileSelect.innerHTML = '';
+    profiles.forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.name;
+      option.textContent = profile.builtIn ? `${profile.name} (built-in)` : profile.name;
+      profileSelect.appendChild(option);
+    });
+
+    const selected = profiles.find(profile => profile.name === selectedName) || profiles[0];
+    if (selected) {
+      profileSelect.value = selected.name;
+      showProfile(selected);
+    }
+  }
+
+  // Read the profile editor back into a profile
+  function readProfile() {
+    return {
+      name: profileNameInput.value.trim(),
+      columns: Array.from(profileColumnsElement.querySelectorAll('tr')).map(row => {
+        const inputs = row.querySelectorAll('input');
+        return {
+          field: inputs[0].value.trim(),
+          label: inputs[1].value.trim(),
+          dateFormat: inputs[2].value.trim(),
+          decimals: inputs[3].value.trim()
+        };
+      })
+    };
+  }
+
+  // Load the export profiles and the known fields from the background worker
+  function loadProfiles() {
+    chrome.runtime.sendMessage({action: "getExportProfiles"}, function(response) {
+      if (chrome.runtime.lastError) {
+        showStatus(profileStatusElement, 'Error: ' + chrome.runtime.lastError.message, true);
+        return;
+      }
+
+      exportFieldsElement.innerHTML = '';
+      (response.fields || []).forEach(field => {
+        const option = document.createElement('option');
+        option.value = field;
+        exportFieldsElement.appendChild(option);
+      });
+
+      renderProfiles(response.profiles || [], response.active);
+    });
+  }
+
+  profileSelect.addEventListener('change', function() {
+    const profile = exportProfiles.find(entry => entry.name === profileSelect.value);
+    if (profile) {
+      showProfile(profile);
+    }
+  });
+
+  addColumnBtn.addEventListener('click', function() {
+    addProfileColumnRow({ field: '', label: '', dateFormat: '', decimals: '' });
+  });
+
+  newProfileBtn.addEventListener('click', function() {
+    editingProfileName = null;
+    profileNameInput.value = '';
+    profileNameInput.placeholder = 'New profile name';
+    profileColumnsElement.innerHTML = '';
+    addProfileColumnRow({ field: 'Document_num', label: 'Document_num', dateFormat: '', decimals: '' });
+    deleteProfileBtn.disabled = true;
+  });
+
+  saveProfileBtn.addEventListener('click', function() {
+    chrome.runtime.sendMessage({
+      action: "saveExportProfile",
+      profile: readProfile(),
+      previousName: editingProfileName
+    }, function(response) {
+      if (chrome.runtime.lastError) {
+        showStatus(profileStatusElement, 'Error: ' + chrome.runtime.lastError.message, true);
+        return;
+      }
+
+      if (response && response.error) {
+        showStatus(profileStatusElement, 'Error: ' + response.error, true);
+        return;
+      }
+
+      renderProfiles(response.profiles, response.profile.name);
+      showStatus(profileStatusElement, `Saved profile ${response.profile.name}`, false);
+    });
+  });
+
+  deleteProfileBtn.addEventListener('click', function() {
+    if (!editingProfileName || !confirm(`Delete export profile ${editingProfileName}?`)) {
+      return;
+    }
+
+    chrome.runtime.sendMessage({action: "deleteExportProfile", name: editingProfileName}, function(response) {
+      if (chrome.runtime.lastError) {
+        showStatus(profileStatusElement, 'Error: ' + chrome.runtime.lastError.message, true);
+        return;
+      }
+
+      renderProfiles(response.profiles, null);
+      showStatus(profileStatusElement, 'Profile deleted', false);
+    });
+  });
+
+  // Add one editable row for a user-added column mapping
+  function addMappingRow(mapping) {
+    const row = document.createElement('tr');
+    row.appendChild(createInputCell('text', mapping.column, 'wide'));
+    row.appendChild(createInputCell('text', mapping.paths.join(', '), 'wider'));
+    row.children[1].firstChild.setAttribute('list', 'payloadPaths');
+
+    const removeCell = document.createElement('td');
+    const removeBtn = document.createElement('button');
+    removeBtn.textContent = 'Remove';
+    removeBtn.className = 'clear small';
+    removeBtn.addEventListener('click', function() {
+      row.remove();
+    });
+    removeCell.appendChild(removeBtn);
+    row.appendChild(removeCell);
+
+    mappingRowsElement.appendChild(row);
+  }
+
+  // Read the mapping table back into mappings
+  function readMappings() {
+    return Array.from(mappingRowsElement.querySelectorAll('tr')).map(row => {
+      const inputs = row.querySelectorAll('input');
+      return {
+        column: inputs[0].value.trim(),
+        paths: inputs[1].value.split(',').map(path => path.trim()).filter(path => path)
+      };
+    });
+  }
+
+  // Report the outcome of a re-derive
+  function showReprojectResult(response) {
+    const missing = response.withoutPayload > 0 ?
+      `, ${response.withoutPayload} older records have no stored payload and were left as they were` : '';
+    showStatus(mappingStatusElement, `Re-derived ${response.reprojected} records${missing}`, false);
+  }
+
+  // Load the field mappings from the background worker
+  function loadMappings() {
+    chrome.runtime.sendMessage({action: "getFieldMappings"}, function(response) {
+      if (chrome.runtime.lastError) {
+        showStatus(mappingStatusElement, 'Error: ' + chrome.runtime.lastError.message, true);
+        return;
+      }
+
+      builtInMappingsElement.textContent = 'Built-in columns: ' + response.builtIn
+        .map(mapping => `${mapping.column} ← ${mapping.paths.join(' | ')}`)
+        .join('; ') + `. Stored payloads: ${response.storedPayloads}.`;
+
+      payloadPathsElement.innerHTML = '';
+      response.payloadPaths.forEach(path => {
+        const option = document.createElement('option');
+        option.value = path;
+        payloadPathsElement.appendChild(option);
+      });
+
+      mappingRowsElement.innerHTML = '';
+      response.custom.forEach(addMappingRow);
+    });
+  }
+
+  addMappingBtn.addEventListener('click', function() {
+    addMappingRow({ column: '', paths: [] });
+  });
+
+  saveMappingsBtn.addEventListener('click', function() {
+    chrome.runtime.sendMessage({action: "saveFieldMappings", mappings: readMappings()}, function(response) {
+      if (chrome.runtime.lastError) {
+        showStatus(mappingStatusElement, 'Error: ' + chrome.runtime.lastError.message, true);
+        return;
+      }
+
+      if (response && response.error) {
+        showStatus(mappingStatusElement, 'Error: ' + response.error, true);
+        return;
+      }
+
+      showReprojectResult(response);
+      // New columns become available to export profiles
+      loadProfiles();
+    });
+  });
+
+  reprojectBtn.addEventListener('click', function() {
+    chrome.runtime.sendMessage({action: "reprojectRecords"}, function(response) {
+      if (chrome.runtime.lastError) {
+        showStatus(mappingStatusElement, 'Error: ' + chrome.runtime.lastError.message, true);
+        return;
+      }
+
+      showReprojectResult(response);
+    });
+  });
+
+  // Fill the stage pickers of the filter rules
+  ruleStageSelects.forEach(select => {
+    [['off', 'Off'], ['capture', 'At capture'], ['export', 'At export']].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+  });
+
+  // Show the filter rules in the form
+  function renderRules(rules) {
+    ruleStageSelects.forEach(select => {
+      select.value = rules[select.dataset.rule].stage;
+    });
+    document.getElementById('saleDateFrom').value = rules.saleDate.from;
+    document.getElementById('saleDateTo').value = rules.saleDate.to;
+    document.getElementById('acreageMin').value = rules.acreage.min;
+    document.getElementById('acreageMax').value = rules.acreage.max;
+    document.getElementById('pricePerAcreMin').value = rules.pricePerAcre.min;
+    document.getElementById('pricePerAcreMax').value = rules.pricePerAcre.max;
+    document.getElementById('fipsAllowed').value = rules.fips.allowed.join(',');
+  }
+
+  // Read the filter rules back from the form
+  function readRules() {
+    const rules = {
+      saleDate: {
+        from: document.getElementById('saleDateFrom').value,
+        to: document.getElementById('saleDateTo').value
+      },
+      acreage: {
+        min: document.getElementById('acreageMin').value,
+        max: document.getElementById('acreageMax').value
+      },
+      pricePerAcre: {
+        min: document.getElementById('pricePerAcreMin').value,
+        max: document.getElementById('pricePerAcreMax').value
+      },
+      fips: {
+        allowed: document.getElementById('fipsAllowed').value.split(',')
+      },
+      crops: {}
+    };
+    ruleStageSelects.forEach(select => {
+      rules[select.dataset.rule].stage = select.value;
+    });
+    return rules;
+  }
+
+  // Load the filter rules from the background worker
+  function loadRules() {
+    chrome.runtime.sendMessage({action: "getFilterRules"}, function(response) {
+      if (chrome.runtime.lastError) {
+        showStatus(rulesStatusElement, 'Error: ' + chrome.runtime.lastError.message, true);
+        return;
+      }
+
+      renderRules(response.rules);
+    });
+  }
+
+  useTargetFipsBtn.addEventListener('click', function() {
+    const fipsCodes = readCounties().filter(county => county.enabled && county.fips).map(county => county.fips);
+    document.getElementById('fipsAllowed').value = fipsCodes.join(',');
+  });
+
+  saveRulesBtn.addEventListener('click', function() {
+    chrome.runtime.sendMessage({action: "saveFilterRules", rules: readRules()}, function(response) {
+      if (chrome.runtime.lastError) {
+        showStatus(rulesStatusElement, 'Error: ' + chrome.runtime.lastError.message, true);
+        return;
+      }
+
+      if (response && response.error) {
+        showStatus(rulesStatusElement, 'Error: ' + response.error, true);
+        return;
+      }
+
+      renderRules(response.rules);
+      showStatus(rulesStatusElement, 'Rules saved', false);
+    });
+  });
+
+  resetRuleCountsBtn.addEventListener('click', function() {
+    chrome.runtime.sendMessage({action: "resetFilterStats"}, function() {
+      if (chrome.runtime.lastError) {
+        showStatus(rulesStatusElement, 'Error: ' + chrome.runtime.lastError.message, true);
+        return;
+      }
+
+      showStatus(rulesStatusElement, 'Excluded counts reset', false);
+    });
+  });
+
+  importBtn.addEventListener('click', function() {
+    const file = importFileInput.files[0];
+    if (!file) {
+      showStatus(importStatusElement, 'Choose a CSV or JSON file first', true);
+      return;
+    }
+
+    showStatus(importStatusElement, 'Importing...', false);
+    file.text().then(function(text) {
+      chrome.runtime.sendMessage({
+        action: "importExport",
+        text: text,
+        filename: file.name,
+        loadRows: importLoadRowsInput.checked
+      }, function(response) {
+        if (chrome.runtime.lastError) {
+          showStatus(importStatusElement, 'Error: ' + chrome.runtime.lastError.message, true);
+          return;
+        }
+
+        if (response && response.error) {
+          showStatus(importStatusElement, 'Error: ' + response.error, true);
+          return;
+        }
+
+        const loaded = importLoadRowsInput.checked ?
+          `, loaded ${response.loaded} rows (${response.duplicates} already in the dataset)` : '';
+        showStatus(importStatusElement, `Imported ${response.records} records from ${response.source}${loaded}. ` +
+          `Known sales: ${response.knownDocumentNumbers} document numbers, ${response.knownIds} IDs.`, false);
+      });
+    }, function(error) {
+      showStatus(importStatusElement, 'Error reading file: ' + error.message, true);
+    });
+  });
+
+  loadCounties();
+  loadProfiles();
+  loadMappings();
+  loadRules();
+});
@@ -2,6 +2,8 @@
 document.addEventListener('DOMContentLoaded', function() {
   const countElement = document.getElementById('count');
   const downloadBtn = document.getElementById('downloadBtn');
+  const exportFormatSelect = document.getElementById('exportFormat');
+  const exportProfileSelect = document.getElementById('exportProfile');
   const clearBtn = document.getElementById('clearBtn');
   const startAutoClickBtn = document.getElementById('startAutoClickBtn');
   const stopAutoClickBtn = document.getElementById('stopAutoClickBtn');
@@ -9,6 +11,40 @@ document.addEventListener('DOMContentLoaded', function() {
   const testClickBtn = document.getElementById('testClickBtn');
   const resetClickedBtn = document.getElementById('resetClickedBtn');
   const debugInfoElement = document.getElementById('debugInfo');
+  const autoClickModeSelect = document.getElementById('autoClickMode');
+  const sweepZoomInput = document.getElementById('sweepZoom');
+  const stopMaxNewInput = document.getElementById('stopMaxNew');
+  const stopTimeBudgetInput = document.getElementById('stopTimeBudget');
+  const stopStallInput = document.getElementById('stopStall');
+  const autoClickStopInfoElement = document.getElementById('autoClickStopInfo');
+  const runCountiesSelect = document.getElementById('runCounties');
+  const autoClickRunsElement = document.getElementById('autoClickRuns');
+  const sweepCoverageElement = document.getElementById('sweepCoverage');
+  const resetSweepBtn = document.getElementById('resetSweepBtn');
+  const countyBannerElement = document.getElementById('countyBanner');
+  const cropMatchInfoElement = document.getElementById('cropMatchInfo');
+  const filterInfoElement = document.getElementById('filterInfo');
+  const validationInfoElement = document.getElementById('validationInfo');
+  const cropBackfillStatusElement = document.getElementById('cropBackfillStatus');
+  const startBackfillBtn = document.getElementById('startBackfillBtn');
+  const stopBackfillBtn = document.getElementById('stopBackfillBtn');
+  const propertyRetryStatusElement = document.getElementById('propertyRetryStatus');
+  const deadLetterListElement = document.getElementById('deadLetterList');
+  const retryFailedBtn = document.getElementById('retryFailedBtn');
+  const clearFailedBtn = document.getElementById('clearFailedBtn');
+  const settingsLink = document.getElementById('settingsLink');
+  const activityLogLink = document.getElementById('activityLogLink');
+  const explorerLink = document.getElementById('explorerLink');
+  const analyticsLink = document.getElementById('analyticsLink');
+  const sessionSelect = document.getElementById('sessionSelect');
+  const newSessionBtn = document.getElementById('newSessionBtn');
+  const renameSessionBtn = document.getElementById('renameSessionBtn');
+  const archiveSessionBtn = document.getElementById('archiveSessionBtn');
+  const deleteSessionBtn = document.getElementById('deleteSessionBtn');
+  const sessionExportInfoElement = document.getElementById('sessionExportInfo');
+  let sessionList = []; // Sessions as returned by the background worker
+  let activeSessionId = null;
+  let targetCounties = []; // County registry, loaded from the background worker
   
   // Function to add debug messages
   function addDebugMessage(message) {
@@ -20,6 +56,89 @@ document.addEventListener('DOMContentLoaded', function() {
     if (messages.length > 10) {
       messages[messages.length - 1].remove();
     }
+    
+    // Keep the line in the activity log, which outlives the popup
+    chrome.runtime.sendMessage({
+      action: "logEvent",
+      level: message.startsWith('Error') ? 'error' : 'info',
+      category: 'popup',
+      message: message
+    }, function() {
+      if (chrome.runtime.lastError) {
+        console.error("Error logging debug message:", chrome.runtime.lastError);
+      }
+    });
+  }
+  
+  // Load the county registry and update the banner
+  function loadTargetCounties(callback) {
+    try {
+      chrome.runtime.sendMessage({action: "getTargetCounties"}, function(response) {
+        if (chrome.runtime.lastError) {
+          console.error("Error getting target counties:", chrome.runtime.lastError);
+          // The rest of the popup still loads, just without the county names
+          if (callback) {
+            callback();
+          }
+          return;
+        }
+        
+        targetCounties = response && response.counties ? response.counties : [];
+        const enabledCounties = targetCounties.filter(county => county.enabled);
+        countyBannerElement.textContent = enabledCounties.length > 0 ?
+          enabledCounties.map(county => `${county.name} (${county.fips})`).join(', ') :
+          'none enabled';
+        
+        // Target area picker for a new run
+        const selected = runCountiesSelect.value;
+        runCountiesSelect.innerHTML = '<option value="">All enabled counties</option>';
+        enabledCounties.forEach(county => {
+          const option = document.createElement('option');
+          option.value = county.fips;
+          option.textContent = county.name;
+          runCountiesSelect.appendChild(option);
+        });
+        runCountiesSelect.value = selected;
+        if (runCountiesSelect.value !== selected) {
+          runCountiesSelect.value = '';
+        }
+        
+        if (callback) {
+          callback();
+        }
+      });
+    } catch (error) {
+      console.error("Error sending message:", error);
+    }
+  }
+  
+  // Load the CSV export profiles into the picker next to the Download button
+  function loadExportProfiles() {
+    try {
+      chrome.runtime.sendMessage({action: "getExportProfiles"}, function(response) {
+        if (chrome.runtime.lastError) {
+          console.error("Error getting export profiles:", chrome.runtime.lastError);
+          return;
+        }
+        
+        exportProfileSelect.innerHTML = '';
+        (response && response.profiles ? response.profiles : []).forEach(profile => {
+          const option = document.createElement('option');
+          option.value = profile.name;
+          option.textContent = profile.name;
+          exportProfileSelect.appendChild(option);
+        });
+        exportProfileSelect.value = response.active;
+      });
+    } catch (error) {
+      console.error("Error sending message:", error);
+    }
+  }
+  
+  // Profiles only apply to the CSV exports
+  function updateExportProfileVisibility() {
+    const usesProfile = ['csv', 'cropsLong', 'cropsWide'].includes(exportFormatSelect.value);
+    exportProfileSelect.style.display = usesProfile ? '' : 'none';
   }
   
   // Load data and update UI
@@ -44,7 +163,228 @@ document.addEventListener('DOMContentLoaded', function() {
         } else {
           downloadBtn.disabled = true;
           clearBtn.disabled = true;
+          
+          const statsElement = document.getElementById('countyStats');
+          if (statsElement) {
+            statsElement.remove();
+          }
+        }
+        
+        loadValidationStatus();
+      });
+    } catch (error) {
+      console.error("Error sending message:", error);
+    }
+  }
+  
+  // Show how many properties have crop data that wasn't applied: it fit several properties, or only by acreage
+  function loadCropMatchStatus() {
+    try {
+      chrome.runtime.sendMessage({action: "getCropMatchStatus"}, function(response) {
+        if (chrome.runtime.lastError) {
+          console.error("Error getting crop match status:", chrome.runtime.lastError);
+          return;
+        }
+        
+        const flagged = response ? response.flaggedProperties : 0;
+        const lowConfidence = response ? response.lowConfidenceProperties || 0 : 0;
+        const notes = [];
+        if (flagged > 0) {
+          notes.push(`${flagged} properties have ambiguous crop matches`);
+        }
+        if (lowConfidence > 0) {
+          notes.push(`${lowConfidence} only match crop data by acreage`);
+        }
+        cropMatchInfoElement.textContent = notes.length > 0 ? notes.join(', ') + ' (not applied)' : '';
+      });
+    } catch (error) {
+      console.error("Error sending message:", error);
+    }
+  }
+  
+  // Show the session picker and the active session's export history
+  function renderSessions(response) {
+    sessionList = response.sessions || [];
+    activeSessionId = response.activeSessionId;
+    
+    sessionSelect.innerHTML = '';
+    const archivedGroup = document.createElement('optgroup');
+    archivedGroup.label = 'Archived';
+    sessionList.forEach(session => {
+      const option = document.createElement('option');
+      option.value = session.id;
+      option.textContent = session.name;
+      (session.archived ? archivedGroup : sessionSelect).appendChild(option);
+    });
+    if (archivedGroup.children.length > 0) {
+      sessionSelect.appendChild(archivedGroup);
+    }
+    sessionSelect.value = activeSessionId;
+    
+    const history = response.exportHistory || [];
+    if (history.length > 0) {
+      const last = history[history.length - 1];
+      sessionExportInfoElement.textContent = `${history.length} exports, last: ${last.filename} ` +
+        `(${last.records} records, ${new Date(last.exportedAt).toLocaleString()})`;
+    } else {
+      sessionExportInfoElement.textContent = 'No exports yet';
+    }
+  }
+  
+  // Load the sessions from the background worker
+  function loadSessions() {
+    sendSessionAction({action: "getSessions"}, false);
+  }
+  
+  // Send a session request and refresh the popup with the result
+  // reloadData is set when the active session may have changed
+  function sendSessionAction(message, reloadData) {
+    try {
+      chrome.runtime.sendMessage(message, function(response) {
+        if (chrome.runtime.lastError) {
+          console.error("Error handling session:", chrome.runtime.lastError);
+          addDebugMessage('Error: ' + chrome.runtime.lastError.message);
+          return;
+        }
+        
+        if (response && response.error) {
+          addDebugMessage('Error: ' + response.error);
+          sessionSelect.value = activeSessionId;
+          return;
+        }
+        
+        renderSessions(response);
+        if (reloadData) {
+          loadData();
+          loadCropMatchStatus();
+        }
+      });
+    } catch (error) {
+      console.error("Error sending message:", error);
+    }
+  }
+  
+  // Labels for the filter rules in the excluded counts line
+  const filterRuleLabels = {
+    saleDate: 'sale date',
+    acreage: 'acreage',
+    pricePerAcre: 'price/acre',
+    fips: 'FIPS',
+    crops: 'no crop data',
+    validation: 'failed validation'
+  };
+  
+  // Show how many records each filter rule excluded, at capture time and in the last export
+  function loadFilterStatus() {
+    try {
+      chrome.runtime.sendMessage({action: "getFilterRules"}, function(response) {
+        if (chrome.runtime.lastError || !response || !response.stats) {
+          return;
+        }
+        
+        const describe = counts => Object.keys(counts)
+          .filter(ruleId => counts[ruleId] > 0)
+          .map(ruleId => `${filterRuleLabels[ruleId] || ruleId} ${counts[ruleId]}`)
+          .join(', ');
+        
+        const lines = [];
+        const captured = describe(response.stats.capture || {});
+        if (captured) {
+          lines.push(`Excluded at capture: ${captured}`);
         }
+        const exported = describe(response.stats.export || {});
+        if (exported) {
+          lines.push(`Excluded from last export (${response.stats.exportTotal} records): ${exported}`);
+        }
+        filterInfoElement.innerHTML = lines.map(line => `<div>${line}</div>`).join('');
+      });
+    } catch (error) {
+      console.error("Error sending message:", error);
+    }
+  }
+  
+  // Warn about records with data-quality problems before they are exported
+  function loadValidationStatus() {
+    try {
+      chrome.runtime.sendMessage({action: "getValidationReport"}, function(response) {
+        if (chrome.runtime.lastError || !response || response.error) {
+          return;
+        }
+        
+        if (response.flagged === 0) {
+          validationInfoElement.textContent = '';
+          return;
+        }
+        
+        const excluded = response.excluded > 0 ? `, ${response.excluded} left out of exports` : '';
+        validationInfoElement.textContent = `Validation: ${response.flagged} of ${response.total} records flagged ` +
+          `(${response.withErrors} with errors${excluded}) - see Explore`;
+        validationInfoElement.style.color = response.withErrors > 0 ? '#f44336' : '#ff9800';
+      });
+    } catch (error) {
+      console.error("Error sending message:", error);
+    }
+  }
+  
+  // Show how far the crop backfill got
+  function renderCropBackfillStatus(status) {
+    startBackfillBtn.disabled = status.running || status.missingCrops === 0;
+    stopBackfillBtn.disabled = !status.running;
+    
+    const lines = [`Records without crop data: ${status.missingCrops}`];
+    if (status.running) {
+      lines.push(`Backfilling: ${status.done + status.failed} of ${status.total} done ` +
+        `(${status.done} filled, ${status.failed} failed, ${status.remaining} waiting)`);
+    } else if (status.startedAt) {
+      lines.push(`Last backfill: ${status.message} - ${status.done} filled, ${status.failed} failed, ` +
+        `${status.skipped} skipped (no parcel geometry or already filled)`);
+    }
+    if (!status.hasTemplate) {
+      lines.push('Open a parcel on acres.com first, so the crop request can be learned');
+    }
+    cropBackfillStatusElement.innerHTML = lines.map(line => `<div>${line}</div>`).join('');
+  }
+  
+  // Load the crop backfill progress
+  function loadCropBackfillStatus() {
+    try {
+      chrome.runtime.sendMessage({action: "getCropBackfillStatus"}, function(response) {
+        if (chrome.runtime.lastError || !response || response.error) {
+          return;
+        }
+        renderCropBackfillStatus(response);
+      });
+    } catch (error) {
+      console.error("Error sending message:", error);
+    }
+  }
+  
+  // Show the property fetches waiting for a retry and the ones that failed for good
+  function renderPropertyRetryStatus(status) {
+    const waiting = status.queued > 0 ?
+      `${status.queued} waiting for a retry (next at ${new Date(status.nextRetryAt).toLocaleTimeString()})` :
+      'None waiting for a retry';
+    propertyRetryStatusElement.textContent = `${waiting}, ${status.deadLetters.length} failed`;
+    
+    deadLetterListElement.innerHTML = '';
+    status.deadLetters.forEach(entry => {
+      const line = document.createElement('div');
+      line.textContent = `${new Date(entry.failedAt).toLocaleString()} - ${entry.lastError} - ${entry.url}`;
+      deadLetterListElement.appendChild(line);
+    });
+    
+    retryFailedBtn.disabled = status.deadLetters.length === 0;
+    clearFailedBtn.disabled = status.deadLetters.length === 0;
+  }
+  
+  // Load the property retry queue and dead-letter list
+  function loadPropertyRetryStatus() {
+    try {
+      chrome.runtime.sendMessage({action: "getPropertyRetryStatus"}, function(response) {
+        if (chrome.runtime.lastError || !response || response.error) {
+          return;
+        }
+        renderPropertyRetryStatus(response);
       });
     } catch (error) {
       console.error("Error sending message:", error);
@@ -69,84 +409,411 @@ document.addEventListener('DOMContentLoaded', function() {
       document.querySelector('.counter').after(statsElement);
     }
     
-    // Count properties by county
-    const countsByFips = {
-      '06019': 0, // Fresno
-      '06107': 0, // Tulare
-      '06029': 0, // Kern
-      '06031': 0  // Kings
-    };
+    // Count properties by county, one entry per enabled county in the registry
+    const countsByFips = {};
+    const countyNames = {};
+    targetCounties.filter(county => county.enabled).forEach(county => {
+      countsByFips[county.fips] = 0;
+      countyNames[county.fips] = county.name;
+    });
     
-    // Count properties by FIPS code
+    // Count properties by FIPS code; counties outside the registry are named from the records' location columns
+    const otherCounts = {};
     data.forEach(item => {
-      if (item.County_fipscode && countsByFips[item.County_fipscode] !== undefined) {
+      if (!item.County_fipscode) {
+        return;
+      }
+      if (countsByFips[item.County_fipscode] !== undefined) {
         countsByFips[item.County_fipscode]++;
+      } else {
+        otherCounts[item.County_fipscode] = (otherCounts[item.County_fipscode] || 0) + 1;
+        if (item.County_name) {
+          countyNames[item.County_fipscode] = `${item.County_name}, ${item.State_name}`;
+        }
       }
     });
     
-    // Create HTML for stats
-    const countyNames = {
-      '06019': 'Fresno',
-      '06107': 'Tulare',
-      '06029': 'Kern',
-      '06031': 'Kings'
-    };
-    
     let statsHTML = '<strong>Properties by County:</strong><br>';
     for (const [fips, count] of Object.entries(countsByFips)) {
       const countyName = countyNames[fips] || fips;
       const color = count > 0 ? '#4CAF50' : '#999';
       statsHTML += `<span style="color: ${color}">• ${countyName}: ${count}</span><br>`;
     }
+    for (const [fips, count] of Object.entries(otherCounts)) {
+      statsHTML += `<span style="color: #555">• ${countyNames[fips] || fips} (not a target): ${count}</span><br>`;
+    }
     
     statsElement.innerHTML = statsHTML;
   }
   
   // Load auto-click status
+  // Helper to name the counties of a run
+  function describeRunCounties(counties) {
+    if (!counties) {
+      return 'all enabled counties';
+    }
+    return counties.map(fips => {
+      const county = targetCounties.find(entry => entry.fips === fips);
+      return county ? county.name : fips;
+    }).join(', ');
+  }
+  
+  // Show one line per running tab, with its own Stop button
+  function renderRuns(runs) {
+    autoClickRunsElement.innerHTML = '';
+    runs.forEach(run => {
+      const minutes = Math.round((Date.now() - run.stats.startedAt) / 60000);
+      const pacing = run.pacing;
+      const latency = pacing.averageLatency !== null ? `, responses ~${pacing.averageLatency} ms` : '';
+      let info = `Tab ${run.tabId} (${describeRunCounties(run.counties)}, ${run.mode}): ${minutes} min, ` +
+        `${run.stats.newProperties} new - ${(pacing.delay / 1000).toFixed(1)} s between clicks${latency}. ${pacing.message}`;
+      if (pacing.paused) {
+        info += ` until ${new Date(pacing.pausedUntil).toLocaleTimeString()}`;
+      }
+      
+      const line = document.createElement('div');
+      line.style.margin = '3px 0';
+      line.style.color = pacing.paused ? '#ff9800' : '#333';
+      line.textContent = info + ' ';
+      
+      const stopBtn = document.createElement('button');
+      stopBtn.textContent = 'Stop';
+      stopBtn.className = 'stop';
+      stopBtn.style.padding = '2px 6px';
+      stopBtn.style.margin = '0';
+      stopBtn.addEventListener('click', function() {
+        chrome.runtime.sendMessage({action: "stopAutoClick", tabId: run.tabId}, function() {
+          if (chrome.runtime.lastError) {
+            addDebugMessage('Error: ' + chrome.runtime.lastError.message);
+            return;
+          }
+          addDebugMessage(`Auto-click stopped in tab ${run.tabId}`);
+          loadAutoClickStatus();
+        });
+      });
+      line.appendChild(stopBtn);
+      
+      autoClickRunsElement.appendChild(line);
+    });
+  }
+  
   function loadAutoClickStatus() {
+    try {
+      chrome.tabs.query({active: true, url: "*://*.acres.com/*"}, function(tabs) {
+        const activeTabId = tabs && tabs.length > 0 ? tabs[0].id : null;
+        
+        chrome.runtime.sendMessage({action: "getAutoClickStatus"}, function(response) {
+          if (chrome.runtime.lastError) {
+            console.error("Error getting auto-click status:", chrome.runtime.lastError);
+            return;
+          }
+          
+          const runs = response.runs || [];
+          const activeTabRunning = runs.some(run => run.tabId === activeTabId);
+          
+          renderRuns(runs);
+          if (response.lastStop) {
+            const stop = response.lastStop;
+            const where = stop.tabId ? ` in tab ${stop.tabId}` : '';
+            autoClickStopInfoElement.textContent = `Last run stopped${where} ${new Date(stop.stoppedAt).toLocaleString()}: ` +
+              `${stop.reason} (${stop.newProperties} new properties)`;
+          } else {
+            autoClickStopInfoElement.textContent = '';
+          }
+          
+          updateAutoClickUI(runs.length, activeTabRunning);
+          if (runs.some(run => run.pacing.paused)) {
+            autoClickStatusElement.textContent += " - paused (server errors)";
+            autoClickStatusElement.style.color = "#ff9800";
+          }
+        });
+      });
+    } catch (error) {
+      console.error("Error sending message:", error);
+    }
+  }
+  
+  // Fill the next run's settings once when the popup opens - the status poll never touches them
+  function loadRunSettings() {
     try {
       chrome.runtime.sendMessage({action: "getAutoClickStatus"}, function(response) {
         if (chrome.runtime.lastError) {
-          console.error("Error getting auto-click status:", chrome.runtime.lastError);
+          console.error("Error getting auto-click settings:", chrome.runtime.lastError);
           return;
         }
         
-        updateAutoClickUI(response.autoClickEnabled);
+        autoClickModeSelect.value = response.mode || 'random';
+        sweepZoomInput.value = response.sweepZoom || 12;
+        
+        const conditions = response.stopConditions || {};
+        stopMaxNewInput.value = conditions.maxNewProperties || '';
+        stopTimeBudgetInput.value = conditions.timeBudgetMinutes || '';
+        stopStallInput.value = conditions.stallMinutes || '';
       });
     } catch (error) {
       console.error("Error sending message:", error);
     }
   }
   
+  // Show grid sweep coverage per county
+  function loadSweepCoverage() {
+    try {
+      chrome.runtime.sendMessage({action: "getSweepProgress"}, function(response) {
+        if (chrome.runtime.lastError) {
+          console.error("Error getting sweep progress:", chrome.runtime.lastError);
+          return;
+        }
+        
+        renderSweepCoverage(response && response.coverage ? response.coverage : []);
+      });
+    } catch (error) {
+      console.error("Error sending message:", error);
+    }
+  }
+  
+  function renderSweepCoverage(coverage) {
+    let coverageHTML = '<strong>Sweep coverage:</strong><br>';
+    coverage.forEach(county => {
+      const color = county.percent >= 100 ? '#4CAF50' : county.completed > 0 ? '#ff9800' : '#999';
+      const tiles = county.total > 0 ? ` (${county.completed}/${county.total} tiles @ z${county.zoom})` : ' (not started)';
+      coverageHTML += `<span style="color: ${color}">• ${county.name}: ${county.percent}%${tiles}</span><br>`;
+    });
+    sweepCoverageElement.innerHTML = coverageHTML;
+  }
+  
 // Update UI based on auto-click status
-function updateAutoClickUI(isEnabled) {
-  if (isEnabled) {
-    autoClickStatusElement.textContent = "Active";
+// runCount is the number of running tabs; activeTabRunning tells whether the current tab is one of them
+function updateAutoClickUI(runCount, activeTabRunning) {
+  if (runCount > 0) {
+    autoClickStatusElement.textContent = runCount === 1 ? "Active (1 tab)" : `Active (${runCount} tabs)`;
     autoClickStatusElement.style.color = "#4CAF50";
-    startAutoClickBtn.disabled = true;
     stopAutoClickBtn.disabled = false;
   } else {
     autoClickStatusElement.textContent = "Inactive";
     autoClickStatusElement.style.color = "#f44336";
-    startAutoClickBtn.disabled = false;
     stopAutoClickBtn.disabled = true;
   }
+  
+  // The settings and Start apply to the current tab, which can only run once
+  startAutoClickBtn.disabled = activeTabRunning;
+  autoClickModeSelect.disabled = activeTabRunning;
+  sweepZoomInput.disabled = activeTabRunning;
+  runCountiesSelect.disabled = activeTabRunning;
+  stopMaxNewInput.disabled = activeTabRunning;
+  stopTimeBudgetInput.disabled = activeTabRunning;
+  stopStallInput.disabled = activeTabRunning;
 }
 
-// Load initial data and status
-loadData();
+// Load initial data and status - counties first so the stats know which counties to show
+loadTargetCounties(function() {
+  loadData();
+  loadSweepCoverage();
+});
+loadCropMatchStatus();
+loadFilterStatus();
+loadSessions();
+loadRunSettings();
 loadAutoClickStatus();
+loadExportProfiles();
+
+loadCropBackfillStatus();
+loadPropertyRetryStatus();
+
+// A run can end by itself on a stop condition - keep the status current while the popup is open
+setInterval(loadAutoClickStatus, 5000);
+setInterval(loadCropBackfillStatus, 5000);
+setInterval(loadPropertyRetryStatus, 5000);
+updateExportProfileVisibility();
+
+exportFormatSelect.addEventListener('change', updateExportProfileVisibility);
+
+// Session controls
+sessionSelect.addEventListener('change', function() {
+  sendSessionAction({action: "switchSession", sessionId: sessionSelect.value}, true);
+  addDebugMessage('Switched session');
+});
+
+newSessionBtn.addEventListener('click', function() {
+  const name = prompt('Name for the new session:');
+  if (name) {
+    sendSessionAction({action: "createSession", name: name}, true);
+  }
+});
+
+renameSessionBtn.addEventListener('click', function() {
+  const session = sessionList.find(entry => entry.id === activeSessionId);
+  const name = session ? prompt('New name for this session:', session.name) : null;
+  if (name) {
+    sendSessionAction({action: "renameSession", sessionId: activeSessionId, name: name}, false);
+  }
+});
+
+// Archive and delete work on another session, picked by name
+function pickOtherSession(verb, sessions) {
+  if (sessions.length === 0) {
+    addDebugMessage(`No other sessions to ${verb}`);
+    return null;
+  }
+  const name = prompt(`Session to ${verb}:\n` + sessions.map(session => session.name).join('\n'));
+  if (!name) {
+    return null;
+  }
+  const session = sessions.find(entry => entry.name.toLowerCase() === name.trim().toLowerCase());
+  if (!session) {
+    addDebugMessage(`No session named "${name}"`);
+  }
+  return session || null;
+}
+
+archiveSessionBtn.addEventListener('click', function() {
+  const session = pickOtherSession('archive or unarchive', sessionList.filter(entry => entry.id !== activeSessionId));
+  if (session) {
+    sendSessionAction({action: "archiveSession", sessionId: session.id, archived: !session.archived}, false);
+  }
+});
+
+deleteSessionBtn.addEventListener('click', function() {
+  const session = pickOtherSession('delete', sessionList.filter(entry => entry.id !== activeSessionId));
+  if (session && confirm(`Delete session "${session.name}" and all its data?`)) {
+    sendSessionAction({action: "deleteSession", sessionId: session.id}, false);
+  }
+});
+
+// Settings link opens the options page
+settingsLink.addEventListener('click', function(event) {
+  event.preventDefault();
+  chrome.runtime.openOptionsPage();
+});
+
+// Crop backfill buttons
+startBackfillBtn.addEventListener('click', function() {
+  try {
+    chrome.runtime.sendMessage({action: "startCropBackfill"}, function(response) {
+      if (chrome.runtime.lastError) {
+        addDebugMessage('Error: ' + chrome.runtime.lastError.message);
+        return;
+      }
+      if (response && response.error) {
+        addDebugMessage('Error: ' + response.error);
+        return;
+      }
+      
+      renderCropBackfillStatus(response);
+      addDebugMessage(response.running ? `Crop backfill started for ${response.total} records` : response.message);
+    });
+  } catch (error) {
+    addDebugMessage('Error: ' + error.message);
+  }
+});
+
+stopBackfillBtn.addEventListener('click', function() {
+  try {
+    chrome.runtime.sendMessage({action: "stopCropBackfill"}, function(response) {
+      if (chrome.runtime.lastError) {
+        addDebugMessage('Error: ' + chrome.runtime.lastError.message);
+        return;
+      }
+      
+      renderCropBackfillStatus(response);
+      addDebugMessage('Crop backfill stopped');
+    });
+  } catch (error) {
+    addDebugMessage('Error: ' + error.message);
+  }
+});
+
+// Failed property fetch buttons
+retryFailedBtn.addEventListener('click', function() {
+  try {
+    chrome.runtime.sendMessage({action: "retryFailedFetches"}, function(response) {
+      if (chrome.runtime.lastError) {
+        addDebugMessage('Error: ' + chrome.runtime.lastError.message);
+        return;
+      }
+      
+      renderPropertyRetryStatus(response);
+      addDebugMessage(`Retrying ${response.count} failed property fetches`);
+    });
+  } catch (error) {
+    addDebugMessage('Error: ' + error.message);
+  }
+});
+
+clearFailedBtn.addEventListener('click', function() {
+  if (!confirm('Forget every failed property fetch?')) {
+    return;
+  }
+  
+  try {
+    chrome.runtime.sendMessage({action: "clearFailedFetches"}, function(response) {
+      if (chrome.runtime.lastError) {
+        addDebugMessage('Error: ' + chrome.runtime.lastError.message);
+        return;
+      }
+      
+      renderPropertyRetryStatus(response);
+    });
+  } catch (error) {
+    addDebugMessage('Error: ' + error.message);
+  }
+});
+
+// Explore link opens the data explorer in a tab
+explorerLink.addEventListener('click', function(event) {
+  event.preventDefault();
+  chrome.tabs.create({url: chrome.runtime.getURL('explorer.html')});
+});
+
+// Statistics link opens the market statistics page in a tab
+analyticsLink.addEventListener('click', function(event) {
+  event.preventDefault();
+  chrome.tabs.create({url: chrome.runtime.getURL('analytics.html')});
+});
+
+// Activity log link opens the log page in a tab
+activityLogLink.addEventListener('click', function(event) {
+  event.preventDefault();
+  chrome.tabs.create({url: chrome.runtime.getURL('log.html')});
+});
+
+// Message action and label for each export format
+const exportFormats = {
+  csv: { action: "downloadCSV", label: 'CSV' },
+  cropsLong: { action: "downloadCropsCSV", layout: 'long', label: 'crops CSV' },
+  cropsWide: { action: "downloadCropsCSV", layout: 'wide', label: 'crops CSV' },
+  geojson: { action: "downloadGeoJSON", label: 'GeoJSON' },
+  kml: { action: "downloadKML", label: 'KML' },
+  xlsx: { action: "downloadXLSX", label: 'Excel' },
+  sqlite: { action: "downloadSQLite", label: 'SQLite' },
+  json: { action: "downloadJSONBackup", label: 'JSON backup' }
+};
+
+// Report records an export left out because they have no coordinates
+function reportMissingCoordinates(missing) {
+  if (!missing || missing.length === 0) {
+    return;
+  }
+  
+  const examples = missing.slice(0, 5).map(record => record.Document_num || record.id).join(', ');
+  const more = missing.length > 5 ? ` and ${missing.length - 5} more` : '';
+  addDebugMessage(`Skipped ${missing.length} records without coordinates: ${examples}${more}`);
+}
 
 // Download button - Fixed version
 downloadBtn.addEventListener('click', function() {
+  const format = exportFormats[exportFormatSelect.value] || exportFormats.csv;
   console.log('Download button clicked');
-  addDebugMessage('Starting CSV download...');
+  addDebugMessage(`Starting ${format.label} download...`);
   
   try {
-    chrome.runtime.sendMessage({action: "downloadCSV"}, function(response) {
+    chrome.runtime.sendMessage({
+      action: format.action,
+      layout: format.layout,
+      profile: exportProfileSelect.value
+    }, function(response) {
       if (chrome.runtime.lastError) {
-        console.error("Error downloading CSV:", chrome.runtime.lastError);
-        addDebugMessage('Error downloading CSV: ' + chrome.runtime.lastError.message);
+        console.error(`Error downloading ${format.label}:`, chrome.runtime.lastError);
+        addDebugMessage(`Error downloading ${format.label}: ` + chrome.runtime.lastError.message);
       } else {
         console.log('Download response:', response);
         if (response && response.status === "downloading") {
@@ -156,6 +823,9 @@ downloadBtn.addEventListener('click', function() {
         } else {
           addDebugMessage('Download completed');
         }
+        reportMissingCoordinates(response && response.missingCoordinates);
+        loadFilterStatus();
+        loadSessions();
       }
     });
   } catch (error) {
@@ -194,16 +864,33 @@ startAutoClickBtn.addEventListener('click', function() {
         return;
       }
       
-      addDebugMessage('Starting auto-click...');
+      addDebugMessage(`Starting auto-click (${autoClickModeSelect.value === 'sweep' ? 'grid sweep' : 'random refocus'})...`);
       
-      chrome.runtime.sendMessage({action: "startAutoClick"}, function(response) {
+      chrome.runtime.sendMessage({
+        action: "startAutoClick",
+        tabId: tabs[0].id,
+        counties: runCountiesSelect.value ? [runCountiesSelect.value] : null,
+        mode: autoClickModeSelect.value,
+        sweepZoom: sweepZoomInput.value,
+        stopConditions: {
+          maxNewProperties: stopMaxNewInput.value,
+          timeBudgetMinutes: stopTimeBudgetInput.value,
+          stallMinutes: stopStallInput.value
+        }
+      }, function(response) {
         if (chrome.runtime.lastError) {
           addDebugMessage('Error: ' + chrome.runtime.lastError.message);
           return;
         }
         
-        updateAutoClickUI(true);
+        if (response && response.error) {
+          addDebugMessage('Error: ' + response.error);
+          return;
+        }
+        
         addDebugMessage('Auto-click started successfully');
+        // The run starts once the tab has been checked
+        setTimeout(loadAutoClickStatus, 500);
       });
     });
   } catch (error) {
@@ -214,7 +901,7 @@ startAutoClickBtn.addEventListener('click', function() {
 // Stop auto-click button
 stopAutoClickBtn.addEventListener('click', function() {
   try {
-    addDebugMessage('Stopping auto-click...');
+    addDebugMessage('Stopping auto-click in every tab...');
     
     chrome.runtime.sendMessage({action: "stopAutoClick"}, function(response) {
       if (chrome.runtime.lastError) {
@@ -222,8 +909,8 @@ stopAutoClickBtn.addEventListener('click', function() {
         return;
       }
       
-      updateAutoClickUI(false);
       addDebugMessage('Auto-click stopped successfully');
+      loadAutoClickStatus();
     });
   } catch (error) {
     addDebugMessage('Error: ' + error.message);
@@ -357,43 +1044,41 @@ testClickBtn.addEventListener('click', function() {
 // Reset clicked markers button
 resetClickedBtn.addEventListener('click', function() {
   try {
-    chrome.tabs.query({active: true, url: "*://*.acres.com/*"}, function(tabs) {
-      if (tabs.length === 0) {
-        addDebugMessage('Error: Please navigate to acres.com first');
+    addDebugMessage('Resetting clicked markers...');
+    
+    chrome.runtime.sendMessage({action: "resetMarkerRegistry"}, function(response) {
+      if (chrome.runtime.lastError) {
+        addDebugMessage('Error: ' + chrome.runtime.lastError.message);
+        return;
+      }
+      if (!response || response.error) {
+        addDebugMessage('Error: ' + (response ? response.error : 'No response from the extension'));
         return;
       }
       
-      addDebugMessage('Resetting clicked markers...');
+      const cleared = response.cleared;
+      addDebugMessage(`Forgot ${cleared.clicked} clicked markers (${cleared.captured} captured, ${cleared.givenUp} given up)`);
+    });
+  } catch (error) {
+    addDebugMessage('Error: ' + error.message);
+  }
+});
+
+// Reset sweep progress button
+resetSweepBtn.addEventListener('click', function() {
+  if (!confirm('Forget all completed sweep tiles?')) {
+    return;
+  }
+  
+  try {
+    chrome.runtime.sendMessage({action: "resetSweepProgress"}, function(response) {
+      if (chrome.runtime.lastError) {
+        addDebugMessage('Error: ' + chrome.runtime.lastError.message);
+        return;
+      }
       
-      chrome.scripting.executeScript({
-        target: {tabId: tabs[0].id},
-        func: function() {
-          // Clear both DOM marker tracking and localStorage tracking
-          try {
-            // Reset map feature markers
-            localStorage.removeItem('acres_clicked_markers');
-            
-            // Reset DOM markers
-            localStorage.removeItem('acres_clicked_dom_markers');
-            
-            // Reset county tracking (optional)
-            localStorage.removeItem('acres_current_county_index');
-            localStorage.removeItem('acres_county_collection_counts');
-            
-            return 'Reset all marker and county tracking';
-          } catch (e) {
-            return 'Error resetting markers: ' + e.message;
-          }
-        }
-      }).then(results => {
-        if (results && results.length > 0) {
-          addDebugMessage('Result: ' + results[0].result);
-        } else {
-          addDebugMessage('No result from reset operation');
-        }
-      }).catch(error => {
-        addDebugMessage('Error: ' + error.message);
-      });
+      renderSweepCoverage(response && response.coverage ? response.coverage : []);
+      addDebugMessage('Sweep progress reset');
     });
   } catch (error) {
     addDebugMessage('Error: ' + error.message);
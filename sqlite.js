@@ -0,0 +1,423 @@
+// sqlite.js - Minimal SQLite 3 database file writer for the service worker
+// Writes every table as a table b-tree, plus an index b-tree for its primary key, following
+// the documented file format (https://www.sqlite.org/fileformat2.html)
+
+const PAGE_SIZE = 4096;
+const SQLITE_VERSION_NUMBER = 3045000; // Version recorded as the last writer of the file
+
+// B-tree page types
+const PAGE_INDEX_INTERIOR = 2;
+const PAGE_TABLE_INTERIOR = 5;
+const PAGE_INDEX_LEAF = 10;
+const PAGE_TABLE_LEAF = 13;
+
+// Payload bytes kept on the b-tree page itself; the rest goes to overflow pages
+const MIN_LOCAL = Math.floor((PAGE_SIZE - 12) * 32 / 255) - 23;
+const MAX_LOCAL_TABLE_LEAF = PAGE_SIZE - 35;
+const MAX_LOCAL_INDEX = Math.floor((PAGE_SIZE - 12) * 64 / 255) - 23;
+
+const textEncoder = new TextEncoder();
+
+// Helper function to encode a non-negative integer as an SQLite varint (big-endian, 7 bits per byte)
+function encodeVarint(value) {
+  const groups = [];
+  do {
+    groups.unshift(value % 128);
+    value = Math.floor(value / 128);
+  } while (value > 0);
+  return groups.map((group, index) => index < groups.length - 1 ? group | 0x80 : group);
+}
+
+// Helper function to write an integer as big-endian two's complement in the given number of bytes
+function integerBytes(value, size) {
+  if (size === 8) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setBigInt64(0, BigInt(value));
+    return Array.from(bytes);
+  }
+  let unsigned = value < 0 ? value + Math.pow(2, size * 8) : value;
+  const bytes = [];
+  for (let i = 0; i < size; i++) {
+    bytes.unshift(unsigned % 256);
+    unsigned = Math.floor(unsigned / 256);
+  }
+  return bytes;
+}
+
+// Helper function to get the serial type and body bytes of one value
+// Integers use the smallest integer type; other numbers are 8-byte floats; NaN and Infinity become NULL
+function encodeValue(value) {
+  if (value === null || value === undefined || (typeof value === 'number' && !isFinite(value))) {
+    return { type: 0, bytes: [] };
+  }
+  if (typeof value === 'number') {
+    if (Number.isSafeInteger(value)) {
+      if (value === 0 || value === 1) {
+        return { type: 8 + value, bytes: [] };
+      }
+      const sizes = [[1, 1], [2, 2], [3, 3], [4, 4], [5, 6], [6, 8]];
+      for (const [type, size] of sizes) {
+        const limit = Math.pow(2, size * 8 - 1);
+        if (size === 8 || (value >= -limit && value < limit)) {
+          return { type: type, bytes: integerBytes(value, size) };
+        }
+      }
+    }
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return { type: 7, bytes: Array.from(bytes) };
+  }
+  if (value instanceof Uint8Array) {
+    return { type: 12 + value.length * 2, bytes: Array.from(value) };
+  }
+  const bytes = textEncoder.encode(String(value));
+  return { type: 13 + bytes.length * 2, bytes: Array.from(bytes) };
+}
+
+// Function to encode a row of values in the record format: a header of serial types, then the values
+function encodeRecord(values) {
+  const encoded = values.map(encodeValue);
+  const types = [].concat(...encoded.map(value => encodeVarint(value.type)));
+
+  // The header size counts its own varint
+  let headerSize = types.length + 1;
+  while (encodeVarint(headerSize).length + types.length !== headerSize) {
+    headerSize = types.length + encodeVarint(headerSize).length;
+  }
+
+  const record = [...encodeVarint(headerSize), ...types];
+  encoded.forEach(value => {
+    for (let i = 0; i < value.bytes.length; i++) {
+      record.push(value.bytes[i]);
+    }
+  });
+  return record;
+}
+
+// Helper function to compare two index keys the way SQLite sorts them
+// NULL sorts first, then numbers, then text (BINARY collation compares the UTF-8 bytes)
+function compareKeys(a, b) {
+  const rank = value => value === null || value === undefined ? 0 : typeof value === 'number' ? 1 : 2;
+  for (let i = 0; i < a.length; i++) {
+    const rankA = rank(a[i]);
+    const rankB = rank(b[i]);
+    if (rankA !== rankB) {
+      return rankA - rankB;
+    }
+    if (rankA === 1 && a[i] !== b[i]) {
+      return a[i] < b[i] ? -1 : 1;
+    }
+    if (rankA === 2) {
+      const bytesA = textEncoder.encode(String(a[i]));
+      const bytesB = textEncoder.encode(String(b[i]));
+      const length = Math.min(bytesA.length, bytesB.length);
+      for (let j = 0; j < length; j++) {
+        if (bytesA[j] !== bytesB[j]) {
+          return bytesA[j] - bytesB[j];
+        }
+      }
+      if (bytesA.length !== bytesB.length) {
+        return bytesA.length - bytesB.length;
+      }
+    }
+  }
+  return 0;
+}
+
+// Helper function to quote a table or column name for the CREATE TABLE statement
+function quoteIdentifier(name) {
+  return '"' + String(name).replace(/"/g, '""') + '"';
+}
+
+// The pages of the database being written; page N is pages[N - 1]
+class PageWriter {
+  constructor() {
+    this.pages = [];
+  }
+
+  // Function to add an empty page and return its page number
+  allocate() {
+    this.pages.push(new Uint8Array(PAGE_SIZE));
+    return this.pages.length;
+  }
+
+  // Function to keep up to maxLocal bytes of a payload on the b-tree page and chain the rest through overflow pages
+  // Returns the cell bytes that hold the payload: the local part, followed by the first overflow page number if any
+  storePayload(payload, maxLocal) {
+    if (payload.length <= maxLocal) {
+      return payload;
+    }
+
+    const surplus = MIN_LOCAL + (payload.length - MIN_LOCAL) % (PAGE_SIZE - 4);
+    const localSize = surplus <= maxLocal ? surplus : MIN_LOCAL;
+
+    let firstPage = 0;
+    let previousPage = null;
+    for (let offset = localSize; offset < payload.length; offset += PAGE_SIZE - 4) {
+      const pageNumber = this.allocate();
+      const page = this.pages[pageNumber - 1];
+      page.set(payload.slice(offset, offset + PAGE_SIZE - 4), 4);
+      if (previousPage) {
+        previousPage.set(integerBytes(pageNumber, 4), 0);
+      } else {
+        firstPage = pageNumber;
+      }
+      previousPage = page;
+    }
+
+    return [...payload.slice(0, localSize), ...integerBytes(firstPage, 4)];
+  }
+
+  // Function to write a b-tree page: header, cell pointer array, and the cells packed against the page end
+  writeBtreePage(pageNumber, type, cells, rightChild) {
+    const page = this.pages[pageNumber - 1];
+    const headerOffset = pageNumber === 1 ? 100 : 0; // Page 1 starts with the database header
+    const isInterior = type === PAGE_INDEX_INTERIOR || type === PAGE_TABLE_INTERIOR;
+    const pointerOffset = headerOffset + (isInterior ? 12 : 8);
+
+    let contentStart = PAGE_SIZE;
+    cells.forEach((cell, index) => {
+      contentStart -= cell.length;
+      page.set(cell, contentStart);
+      page.set(integerBytes(contentStart, 2), pointerOffset + index * 2);
+    });
+
+    page[headerOffset] = type;
+    page.set(integerBytes(cells.length, 2), headerOffset + 3);
+    page.set(integerBytes(contentStart, 2), headerOffset + 5);
+    if (isInterior) {
+      page.set(integerBytes(rightChild, 4), headerOffset + 8);
+    }
+  }
+}
+
+// Helper function to check whether cells still fit on one page next to its header and cell pointers
+function fitsOnPage(cellBytes, cellCount, isInterior, headerOffset) {
+  return headerOffset + (isInterior ? 12 : 8) + cellCount * 2 + cellBytes <= PAGE_SIZE;
+}
+
+// Function to write a table b-tree from rows of values; rows get rowids 1, 2, 3...
+// rootPage can be given to make a page that's already allocated the root (page 1 for the schema)
+// Returns the root page number
+function writeTableBtree(writer, rows, rootPage) {
+  const headerOffset = rootPage === 1 ? 100 : 0;
+  const cells = rows.map((values, index) => {
+    const payload = encodeRecord(values);
+    return {
+      rowid: index + 1,
+      bytes: [...encodeVarint(payload.length), ...encodeVarint(index + 1), ...writer.storePayload(payload, MAX_LOCAL_TABLE_LEAF)]
+    };
+  });
+
+  // Leaves hold the rows, filled in order
+  const leaves = [];
+  let current = [];
+  let used = 0;
+  cells.forEach(cell => {
+    if (current.length > 0 && !fitsOnPage(used + cell.bytes.length, current.length + 1, false, 0)) {
+      leaves.push(current);
+      current = [];
+      used = 0;
+    }
+    current.push(cell);
+    used += cell.bytes.length;
+  });
+  leaves.push(current);
+
+  if (leaves.length === 1 && rootPage) {
+    if (!fitsOnPage(used, current.length, false, headerOffset)) {
+      throw new Error('Too much schema for the first page');
+    }
+    writer.writeBtreePage(rootPage, PAGE_TABLE_LEAF, current.map(cell => cell.bytes));
+    return rootPage;
+  }
+
+  // Each child is known by its page number and the largest rowid below it
+  let children = leaves.map(leaf => {
+    const pageNumber = writer.allocate();
+    writer.writeBtreePage(pageNumber, PAGE_TABLE_LEAF, leaf.map(cell => cell.bytes));
+    return { page: pageNumber, maxRowid: leaf.length > 0 ? leaf[leaf.length - 1].rowid : 0 };
+  });
+
+  // Interior levels point at the children: one cell per child, the last child is the right-most pointer
+  while (children.length > 1) {
+    const groups = [];
+    let group = [];
+    let groupBytes = 0;
+    children.forEach(child => {
+      if (group.length > 0) {
+        const cellLength = 4 + encodeVarint(group[group.length - 1].maxRowid).length;
+        if (!fitsOnPage(groupBytes + cellLength, group.length, true, 0)) {
+          groups.push(group);
+          group = [];
+          groupBytes = 0;
+        } else {
+          groupBytes += cellLength;
+        }
+      }
+      group.push(child);
+    });
+    groups.push(group);
+
+    // An interior page needs at least one cell besides its right-most pointer
+    if (groups.length > 1 && group.length === 1) {
+      group.unshift(groups[groups.length - 2].pop());
+    }
+
+    children = groups.map(members => {
+      const pageNumber = writer.allocate();
+      const interiorCells = members.slice(0, -1).map(child => [...integerBytes(child.page, 4), ...encodeVarint(child.maxRowid)]);
+      writer.writeBtreePage(pageNumber, PAGE_TABLE_INTERIOR, interiorCells, members[members.length - 1].page);
+      return { page: pageNumber, maxRowid: members[members.length - 1].maxRowid };
+    });
+  }
+
+  if (rootPage) {
+    throw new Error('Too much schema for the first page');
+  }
+  return children[0].page;
+}
+
+// Function to write an index b-tree over sorted keys; each entry is a record of the key values and the rowid
+// Unlike a table b-tree, the entries that divide two children live on the interior page itself
+// Returns the root page number
+function writeIndexBtree(writer, entries) {
+  const toCell = entry => {
+    const payload = encodeRecord(entry);
+    return [...encodeVarint(payload.length), ...writer.storePayload(payload, MAX_LOCAL_INDEX)];
+  };
+
+  // Split the cells into pages, taking the cell between two pages up to the level above as their divider
+  const splitLevel = (cells, isInterior) => {
+    const pages = [];
+    const dividers = [];
+    let current = [];
+    let used = 0;
+    cells.forEach(cell => {
+      const length = cell.bytes.length;
+      if (current.length > 0 && !fitsOnPage(used + length, current.length + 1, isInterior, 0)) {
+        pages.push(current);
+        dividers.push(cell);
+        current = [];
+        used = 0;
+        return;
+      }
+      current.push(cell);
+      used += length;
+    });
+
+    // A divider taken last would leave an empty page; take the previous page's last cell instead
+    if (current.length === 0 && dividers.length > 0) {
+      current.push(dividers.pop());
+      dividers.push(pages[pages.length - 1].pop());
+    }
+    pages.push(current);
+    return { pages: pages, dividers: dividers };
+  };
+
+  let level = splitLevel(entries.map(entry => ({ bytes: toCell(entry) })), false);
+  let children = level.pages.map(cells => {
+    const pageNumber = writer.allocate();
+    writer.writeBtreePage(pageNumber, PAGE_INDEX_LEAF, cells.map(cell => cell.bytes));
+    return pageNumber;
+  });
+
+  while (children.length > 1) {
+    // Interior cells pair each divider with the child to its left
+    const interiorCells = level.dividers.map((divider, index) => ({
+      child: children[index],
+      bytes: [...integerBytes(children[index], 4), ...divider.bytes]
+    }));
+    const lastChild = children[children.length - 1];
+
+    level = splitLevel(interiorCells, true);
+    children = level.pages.map((cells, index) => {
+      // The page's right-most child is the left child of the divider that follows it, or the level's last child
+      const rightChild = index < level.dividers.length ? level.dividers[index].child : lastChild;
+      const pageNumber = writer.allocate();
+      writer.writeBtreePage(pageNumber, PAGE_INDEX_INTERIOR, cells.map(cell => cell.bytes), rightChild);
+      return pageNumber;
+    });
+
+    // Dividers going up lose their old child pointer; the level above adds its own
+    level.dividers = level.dividers.map(divider => ({ bytes: divider.bytes.slice(4) }));
+  }
+
+  return children[0];
+}
+
+// Helper function to convert a value to what a column of the given type stores
+// Numbers go in as numbers, empty values as NULL; text that isn't a number stays text, as SQLite itself does
+function toColumnValue(value, type) {
+  if (value === null || value === undefined || (type !== 'TEXT' && value === '')) {
+    return null;
+  }
+  if (type === 'INTEGER' || type === 'REAL') {
+    const number = Number(value);
+    if (typeof value !== 'boolean' && isFinite(number) && String(value).trim() !== '') {
+      return number;
+    }
+    return String(value);
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+// Function to build a database file from tables
+// tables: [{name, columns: [{name, type: 'TEXT'|'INTEGER'|'REAL'}], primaryKey: [column names], rows: [[values]]}]
+// Returns the file contents as a Uint8Array; throws when two rows share a primary key
+export function createSqliteDatabase(tables) {
+  const writer = new PageWriter();
+  writer.allocate(); // Page 1 holds the header and the schema table
+
+  const schemaRows = [];
+  tables.forEach(table => {
+    const rows = table.rows.map(row => row.map((value, index) => toColumnValue(value, table.columns[index].type)));
+    const definitions = table.columns.map(column => `${quoteIdentifier(column.name)} ${column.type}`);
+    if (table.primaryKey && table.primaryKey.length > 0) {
+      definitions.push(`PRIMARY KEY (${table.primaryKey.map(quoteIdentifier).join(', ')})`);
+    }
+    const sql = `CREATE TABLE ${quoteIdentifier(table.name)} (${definitions.join(', ')})`;
+    schemaRows.push(['table', table.name, table.name, writeTableBtree(writer, rows), sql]);
+
+    // SQLite keeps a primary key that isn't the rowid in an automatic index
+    if (table.primaryKey && table.primaryKey.length > 0) {
+      const keyIndexes = table.primaryKey.map(name => table.columns.findIndex(column => column.name === name));
+      const entries = rows.map((row, index) => [...keyIndexes.map(keyIndex => row[keyIndex]), index + 1]);
+      entries.sort(compareKeys);
+      entries.forEach((entry, index) => {
+        if (index > 0 && compareKeys(entry.slice(0, -1), entries[index - 1].slice(0, -1)) === 0) {
+          throw new Error(`Duplicate primary key in table ${table.name}: ${entry.slice(0, -1).join(', ')}`);
+        }
+      });
+      schemaRows.push(['index', `sqlite_autoindex_${table.name}_1`, table.name, writeIndexBtree(writer, entries), null]);
+    }
+  });
+  writeTableBtree(writer, schemaRows, 1);
+
+  // Database header
+  const header = writer.pages[0];
+  header.set(textEncoder.encode('SQLite format 3\0'), 0);
+  header.set(integerBytes(PAGE_SIZE, 2), 16);
+  header[18] = 1; // File format write version (legacy journal)
+  header[19] = 1; // File format read version
+  header[20] = 0; // Reserved bytes per page
+  header[21] = 64; // Maximum embedded payload fraction
+  header[22] = 32; // Minimum embedded payload fraction
+  header[23] = 32; // Leaf payload fraction
+  header.set(integerBytes(1, 4), 24); // File change counter
+  header.set(integerBytes(writer.pages.length, 4), 28); // Database size in pages
+  header.set(integerBytes(1, 4), 40); // Schema cookie
+  header.set(integerBytes(4, 4), 44); // Schema format number
+  header.set(integerBytes(1, 4), 56); // Text encoding: UTF-8
+  header.set(integerBytes(1, 4), 92); // Version-valid-for, matching the change counter
+  header.set(integerBytes(SQLITE_VERSION_NUMBER, 4), 96);
+
+  const file = new Uint8Array(writer.pages.length * PAGE_SIZE);
+  writer.pages.forEach((page, index) => {
+    file.set(page, index * PAGE_SIZE);
+  });
+  return file;
+}
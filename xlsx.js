@@ -0,0 +1,303 @@
+// xlsx.js - Minimal .xlsx (Office Open XML) workbook writer for the service worker
+// Builds the workbook XML parts and packs them into an uncompressed zip archive
+
+// Cell style indexes into the cellXfs list written by buildStylesXml
+const STYLE_DEFAULT = 0;
+const STYLE_HEADER = 1;
+const STYLE_DATE = 2;
+const STYLE_CURRENCY = 3;
+const STYLE_ACRES = 4;
+const STYLE_INTEGER = 5;
+const STYLE_DECIMAL = 6;
+
+// Column type -> cell style
+const TYPE_STYLES = {
+  text: STYLE_DEFAULT,
+  number: STYLE_DEFAULT,
+  date: STYLE_DATE,
+  currency: STYLE_CURRENCY,
+  acres: STYLE_ACRES,
+  integer: STYLE_INTEGER,
+  decimal: STYLE_DECIMAL
+};
+
+const textEncoder = new TextEncoder();
+
+// Helper function to escape text for XML content and attributes
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+}
+
+// Helper function to turn a zero-based column index into a column letter (0 -> A, 26 -> AA)
+function columnLetter(index) {
+  let letters = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letters = String.fromCharCode(65 + remainder) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+}
+
+// Helper function to convert a date value into an Excel serial day number
+// Accepts Date objects and strings like 2023-05-12 or 2023-05-12T00:00:00Z; returns null if unparseable
+export function toExcelDate(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  let time;
+  if (value instanceof Date) {
+    time = Date.UTC(value.getFullYear(), value.getMonth(), value.getDate());
+  } else {
+    const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (match) {
+      time = Date.UTC(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+    } else {
+      const parsed = new Date(value);
+      if (isNaN(parsed.getTime())) {
+        return null;
+      }
+      time = Date.UTC(parsed.getFullYear(), parsed.getMonth(), parsed.getDate());
+    }
+  }
+
+  // Excel's day zero is 1899-12-30 (this accounts for the 1900 leap year bug)
+  return Math.round((time - Date.UTC(1899, 11, 30)) / 86400000);
+}
+
+// Helper function to build the XML for one cell, or '' for an empty value
+function buildCellXml(ref, value, type) {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+
+  if (type !== 'text') {
+    const number = type === 'date' ? toExcelDate(value) : parseFloat(value);
+    if (number !== null && isFinite(number)) {
+      return `<c r="${ref}" s="${TYPE_STYLES[type] || STYLE_DEFAULT}"><v>${number}</v></c>`;
+    }
+    // Not a usable number or date - fall through and keep the original text
+  }
+
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+// Function to build the XML for one worksheet
+// sheet = {columns: [{header, type, width}], rows: [[value, ...]]}
+function buildSheetXml(sheet) {
+  const cols = sheet.columns.map((column, index) => {
+    const width = column.width || Math.max(10, String(column.header).length + 2);
+    return `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`;
+  }).join('');
+
+  const headerCells = sheet.columns.map((column, index) => {
+    return `<c r="${columnLetter(index)}1" t="inlineStr" s="${STYLE_HEADER}"><is><t>${escapeXml(column.header)}</t></is></c>`;
+  }).join('');
+
+  const rows = [`<row r="1">${headerCells}</row>`];
+  sheet.rows.forEach((values, rowIndex) => {
+    const rowNumber = rowIndex + 2;
+    const cells = sheet.columns.map((column, index) => {
+      return buildCellXml(columnLetter(index) + rowNumber, values[index], column.type || 'text');
+    }).join('');
+    rows.push(`<row r="${rowNumber}">${cells}</row>`);
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    (cols ? `<cols>${cols}</cols>` : '') +
+    `<sheetData>${rows.join('')}</sheetData>` +
+    '</worksheet>';
+}
+
+// Function to build the shared styles part (number formats for dates, currency and acreage)
+function buildStylesXml() {
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<numFmts count="3">' +
+    '<numFmt numFmtId="164" formatCode="yyyy-mm-dd"/>' +
+    '<numFmt numFmtId="165" formatCode="&quot;$&quot;#,##0.00"/>' +
+    '<numFmt numFmtId="166" formatCode="#,##0.00"/>' +
+    '</numFmts>' +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="7">' +
+    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+    '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="166" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="1" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '</cellXfs>' +
+    '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+    '</styleSheet>';
+}
+
+// Helper function to make a sheet name Excel accepts: max 31 chars, no []:*?/\ and unique
+function cleanSheetName(name, usedNames) {
+  const base = String(name).replace(/[\[\]:*?\/\\]/g, ' ').trim().substring(0, 31) || 'Sheet';
+  let candidate = base;
+  let counter = 2;
+  while (usedNames.has(candidate.toLowerCase())) {
+    const suffix = ` (${counter++})`;
+    candidate = base.substring(0, 31 - suffix.length) + suffix;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
+
+// CRC-32 lookup table for the zip container
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Function to pack files into a zip archive using the "stored" (uncompressed) method
+// files = [{name, content}] where content is a string; returns a Uint8Array
+function createZip(files) {
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const nameBytes = textEncoder.encode(file.name);
+    const data = textEncoder.encode(file.content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true); // Local file header signature
+    local.setUint16(4, 20, true); // Version needed to extract
+    local.setUint16(6, 0x0800, true); // UTF-8 file names
+    local.setUint16(8, 0, true); // Stored, no compression
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true); // Central directory header signature
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true); // Version needed to extract
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true); // Offset of the local header
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true); // End of central directory signature
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    output.set(part, position);
+    position += part.length;
+  });
+  return output;
+}
+
+// Function to build a complete .xlsx file
+// sheets = [{name, columns: [{header, type, width}], rows: [[value, ...]]}]
+// Column types: text, number, integer, decimal, currency, acres, date
+// Returns the workbook as a Uint8Array
+export function createXlsxWorkbook(sheets) {
+  const usedNames = new Set();
+  const names = sheets.map(sheet => cleanSheetName(sheet.name, usedNames));
+
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        sheets.map((sheet, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        '<sheets>' +
+        names.map((name, index) => `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('') +
+        '</sheets>' +
+        '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        sheets.map((sheet, index) => `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('') +
+        `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/styles.xml',
+      content: buildStylesXml()
+    }
+  ];
+
+  sheets.forEach((sheet, index) => {
+    files.push({ name: `xl/worksheets/sheet${index + 1}.xml`, content: buildSheetXml(sheet) });
+  });
+
+  return createZip(files);
+}